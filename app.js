@@ -1,253 +1,56 @@
+import { PROVIDERS, MODEL_CATALOG, PIPELINE_STAGES, modelSupportsImages } from "./src/models.js";
+import { configureProviders, isAbortError } from "./src/providers.js";
+import { runArchitectWithRepair, runCodeGenerator, runCodeDissector } from "./src/pipeline.js";
+import { validateArchitectOutput } from "./src/spec.js";
+import { lintDartCode } from "./src/lint.js";
+import {
+  isPackageCatalog,
+  parseDependencyEntry,
+  checkSpecPackages,
+  checkCodePackages,
+  getCodePackageImports,
+} from "./src/packages.js";
+import {
+  AUDIT_SEVERITIES,
+  AUDIT_SCORE_IMPACT,
+  parseAuditReport,
+  computeAuditScore,
+  formatScoreBreakdown,
+  auditReportToMarkdown,
+  getAuditScore,
+  buildRepairFeedback,
+} from "./src/audit.js";
+import { getProjectFileKind, buildProjectContext, readZipEntries } from "./src/project.js";
+import { extractCodeFromMarkdown } from "./src/text.js";
+import { parseBatchRequests, buildBatchFiles, createZipArchive } from "./src/batch.js";
+import { DEFAULT_RULE_PACK } from "./src/prompts.js";
+import {
+  RULE_PACK_FORMAT,
+  parseRuleOverrides,
+  resolveRulePack,
+  describeRulePack,
+  formatRulePackVersion,
+  bumpRuleVersion,
+} from "./src/rules.js";
+
 // --- CONFIGURATION ---
 // Environment keys (fallback)
 const envGeminiApiKey = import.meta.env.VITE_GEMINI_API_KEY || "";
 const envAnthropicApiKey = import.meta.env.VITE_ANTHROPIC_API_KEY || "";
 const envOpenaiApiKey = import.meta.env.VITE_OPENAI_API_KEY || "";
 
-// Model Configuration
-const PROMPT_ARCHITECT_MODEL = "gemini-3-flash-preview";
-const CODE_DISSECTOR_MODEL = "gemini-3-flash-preview";
-const FALLBACK_MODEL = "gemini-2.5-flash-preview-09-2025";
-
-// --- SHARED FLUTTERFLOW CONSTRAINTS TEMPLATE ---
-// These constraints are shared across all three pipeline agents to ensure consistency.
-// Based on "The Definitive Guide to Integrating Dart Artifacts into FlutterFlow Environments"
-
-const FF_CORE_PHILOSOPHY = `## THE FLUTTERFLOW INTEGRATION PHILOSOPHY
-
-**FlutterFlow is the host organism.** Your Dart must conform to FlutterFlow's boilerplate, parsing rules, and parameter system - not the other way around.
-
-Key principles:
-1. **Settings and code must match.** FlutterFlow binds custom code by name/signature. If the UI says the widget/action is \`NeuroRadialGauge\`, your Dart must export that exact class/function name. Name mismatches are a top cause of "mysterious" breakage.
-2. **Never modify the auto-import section.** FlutterFlow injects imports above a hard boundary (\`// Do not remove or modify the code above this line\`). Code goes BELOW that line only.
-3. **You are responsible for dependencies.** FlutterFlow won't auto-add pubspec packages. If the code imports it, you must add it in Project Dependencies (and sometimes native config).
-4. **The Parser Gap is real.** FlutterFlow parses custom code to power the UI (parameter panels, variable pickers). That parser is stricter than Dart itself - valid Dart can still be "invalid" to FlutterFlow.`;
-
-const FF_ARTIFACT_TYPES = `## THE FOUR ARTIFACT SURFACES
-
-### A) Custom Functions (Pure/Sync Logic Silo)
-- **Purpose:** Synchronous data manipulation, math calculations, string formatting, data transformation
-- **CRITICAL RESTRICTION:** NO external imports allowed - only dart:core, dart:math, dart:convert, dart:collection
-- **Returns:** Synchronous value (String, int, double, bool, List, Map, etc.) - NOT Future
-- **Use when:** Pure computation with no side effects, no async operations, no external dependencies
-- **Examples:** Luhn algorithm validation, date formatting, list filtering, math calculations
-
-### B) Custom Actions (Async/Side Effects Silo)
-- **Purpose:** Side effects, API calls, complex logic chains, third-party library usage, file operations
-- **Return type:** ALWAYS Future<T> - even synchronous logic must be wrapped
-- **External imports:** ALLOWED (packages from pub.dev, added via Project Dependencies)
-- **Optional:** Include BuildContext toggle for context-dependent work
-- **Use when:** Anything async, anything needing external packages, anything with side effects
-- **Examples:** HTTP requests, Bluetooth/sensors, file I/O, device APIs, auth flows
-
-### C) Custom Widgets (Visual/UI Silo)
-- **Purpose:** Custom UI not available in FlutterFlow's component library
-- **CRITICAL:** Must accept \`width\` and \`height\` parameters (both \`double?\`, nullable) - FlutterFlow injects these
-- **Data passing:** Strictly via constructor parameters - no direct access to parent page state
-- **FFAppState access:** Only if explicitly passed as parameter, or use FFAppState().update() pattern
-- **Editor behavior:** Widget is a "black box" - renders as placeholder in design view until compiled
-- **Use when:** Charts, gauges, CustomPainter, complex animations, gesture-heavy interactions
-- **Examples:** Radial gauges, custom charts, signature pads, audio visualizers, game elements
-
-### D) Code Files (Classes/Enums/Utilities)
-- **Purpose:** Reusable models, enums, utility classes accessible in variable dialogs/action flows
-- **PARSER LIMITATIONS (documented by FlutterFlow):**
-  * NO generics
-  * NO function-typed fields/params
-  * NO extensions
-- **Translation:** Keep Code Files boring and parse-friendly. Anything "clever" belongs elsewhere.
-- **Use when:** Shared utility functions, simple enum definitions, parse-friendly helper classes`;
-
-const FF_TYPE_SYSTEM = `## FLUTTERFLOW TYPE SYSTEM (Parameters)
-
-Only these parameter types work in FlutterFlow's Custom Code UI:
-- **Primitives:** String, bool, int, double, Color, DateTime
-- **Lists of primitives:** List<String>, List<int>, List<double>, List<bool>
-- **FlutterFlow Structs:** \`SomeNameStruct\` or \`List<SomeNameStruct>\` (must exist in FF Data Types)
-- **Special types:** DocumentReference, LatLng (only if project uses Firebase/Maps)
-- **Action callbacks:** \`Future<dynamic> Function()?\` (Custom Widgets only, for triggering FF actions)
-
-**IMPORTANT:** Never define new Dart model classes for data exchange. If structured data is needed, use FlutterFlow Structs created in Data Types. Custom Dart classes can only be used internally (private) within your code file.`;
-
-const FF_STATE_PATTERNS = `## STATE & DATA: FFAppState Patterns
-
-FlutterFlow's generated \`FFAppState\` is a **global singleton that extends ChangeNotifier**.
-
-### Reading state (non-reactive):
-\`\`\`dart
-final v = FFAppState().myVar;
-\`\`\`
-
-### Writing state (reactive across app):
-\`\`\`dart
-FFAppState().update(() => FFAppState().myVar = newValue);
-\`\`\`
-This triggers \`notifyListeners()\` and updates all subscribed pages.
-
-### Returning values from Custom Widgets:
-FlutterFlow doesn't directly "pull" values out of widgets. Two patterns:
-1. **Callbacks:** Use \`Future<dynamic> Function()?\` action parameters
-2. **AppState workaround:** Store result in FFAppState when callback typing is fragile:
-\`\`\`dart
-FFAppState().update(() {
-  FFAppState().localValue = 'setvalue';
-});
-\`\`\``;
-
-const FF_FORBIDDEN_PATTERNS = `## FORBIDDEN PATTERNS (Will cause immediate build failures)
-
-These patterns are TOXIC in FlutterFlow custom code:
-- \`void main()\` or \`main()\` function
-- \`runApp()\` call
-- \`MaterialApp\` widget
-- \`CupertinoApp\` or \`WidgetsApp\`
-- \`Scaffold\` widget (unless spec explicitly requires full-screen scaffold, which is rare)
-- \`MyApp\` or similar wrapper classes
-- ANY \`import\` statements (FlutterFlow manages all imports)
-- Custom Dart classes for data models (use FF Structs instead)
-- Generics, extensions, or function-typed params in Code Files`;
-
-const FF_REQUIRED_PATTERNS = `## REQUIRED PATTERNS (For FlutterFlow compatibility)
-
-### Null Safety
-- 100% null-safe Dart required - no exceptions
-- Every nullable input must have explicit defaults or guards
-- NEVER use the \`!\` operator unless mathematically proven safe - prefer \`??\` or \`?.\`
-- Handle null width/height gracefully in Custom Widgets
-
-### Widget Parameters (Custom Widgets)
-- ALWAYS include as first parameters:
-  \`\`\`dart
-  final double? width;
-  final double? height;
-  \`\`\`
-- Handle null width/height - never assume they have values
-- Use LayoutBuilder for size-dependent rendering:
-  \`\`\`dart
-  LayoutBuilder(
-    builder: (context, constraints) {
-      final w = widget.width ?? constraints.maxWidth;
-      final h = widget.height ?? constraints.maxHeight;
-      // Use w and h safely
-    }
-  )
-  \`\`\`
-
-### Theming
-- Use \`FlutterFlowTheme.of(context).primary\` instead of \`Colors.blue\`
-- Use \`FlutterFlowTheme.of(context).primaryText\` for text colors
-- Use \`FlutterFlowTheme.of(context).secondaryBackground\` for surfaces
-- Only hardcode colors if intentional and documented
-
-### Callbacks & Actions
-- Action callback signature: \`final Future<dynamic> Function()? onSomeAction;\`
-- To invoke callbacks: \`widget.onSomeAction?.call();\`
-- Do NOT embed navigation/database writes inside widgets - expose Action Parameters
-
-### Resource Management
-- ALWAYS dispose() controllers: AnimationController, StreamSubscription, TextEditingController
-- Use \`with SingleTickerProviderStateMixin\` or \`TickerProviderStateMixin\` for animations
-- Initialize AnimationController in initState(), not in build()
-- Use didUpdateWidget() to respond to parameter changes from FlutterFlow`;
-
-const FF_INTEGRATION_GAP_TABLE = `## THE INTEGRATION GAP (What AI generates vs. What FlutterFlow needs)
-
-| Issue | What AI Typically Generates | What FlutterFlow Actually Needs |
-|-------|----------------------------|--------------------------------|
-| Project Scope | Full app with main() | Fragment/component only |
-| Imports | import statements | None (FF manages all imports) |
-| Dependencies | Auto-added in code | Manual entry in Project Dependencies UI |
-| Data Models | \`class User {...}\` | \`UserStruct\` (FF Data Type) |
-| State Access | \`FFAppState()\` directly | Passed as parameter or use update() |
-| Colors | \`Colors.blue\` | \`FlutterFlowTheme.of(context).primary\` |
-| Callbacks | \`ValueChanged<T>\` | \`Future<dynamic> Function()?\` |
-| Widget Sizing | Assumes parent constraints | Must handle null width/height |`;
-
-const FF_TROUBLESHOOTING_CHECKLIST = `## TROUBLESHOOTING CHECKLIST (Fast elimination order)
-
-When something fails, check these in order:
-1. **Name mismatch** between FlutterFlow UI and Dart symbol (widget/action/function name)
-2. **Parameters mismatch** (including nullability + isList flag in FF UI)
-3. **Imports** placed above the boundary (illegal) or missing required imports below it
-4. **Missing dependency** in Project Dependencies
-5. **Type mismatch** between Struct vs Dart class
-6. **FFAppState update not triggering rebuild** - didn't use \`FFAppState().update(() { ... })\`
-7. **Web analyzer lies** - if code is correct but editor complains, compile/export/run locally; consider Exclude from Compilation
-8. **Callback param type inference issues** (common with Firestore refs) - work around with AppState or JSON/primitive transport`;
-
-// --- NEW SECTIONS COMPLETED BASED ON RESEARCH (DEFINITIVE GUIDE) ---
-
-const FF_PROMPT_PROTOCOL = `## THE "CLEAN ROOM" PROMPT PROTOCOL
-Use this preamble for all code generation to ensure FlutterFlow compatibility.
-
-> "Act as a Senior Flutter Developer."
-> 1. **Context:** This widget will be injected into a FlutterFlow environment.
-> 2. **Constraints:**
->    * **Do NOT use:** \`Scaffold\`, \`MaterialApp\`, \`AppBar\`, or \`SystemChrome\`.
->    * **State:** Keep state local to the widget.
->    * **Data:** Accept \`[DataTypeStruct]\` as a required parameter (replace with Struct, not Class).
->    * **Styling:** Use \`Theme.of(context)\` for colors; do not hardcode hex values.
->    * **Null Safety:** Assume strict null safety.
->    * **Sizing:** Expect \`width\` and \`height\` parameters to be nullable.`;
-
-const FF_WORKFLOW_PROTOCOL = `## TRI-SURFACE INTEGRATION WORKFLOW
-
-### Phase 1: Extraction (From AI/Local to FF)
-1. **Isolate Core Class:** Extract only the main \`StatefulWidget\` or \`StatelessWidget\`.
-2. **Identify Helpers:** Separate internal data models - these MUST be converted to FlutterFlow Structs.
-3. **Capture Imports:** List all \`import package:...\`. These must be manually added to FF Project Dependencies.
-
-### Phase 2: Injection (Into FF)
-1. **Prepare Host:** Create Custom Widget in FF with parameters matching the extracted code.
-2. **Refactor Name:** Ensure \`class [WidgetName]\` matches the FF Custom Widget name exactly.
-3. **Refactor Colors:** Replace \`Colors.red\` with \`FlutterFlowTheme.of(context).error\`.
-4. **Refactor Logic:** Convert internal navigation/API calls to \`Future Function()\` callbacks.`;
-
-// Compose the full shared template
-const FF_SHARED_CONSTRAINTS = `${FF_CORE_PHILOSOPHY}
-
----
-
-${FF_ARTIFACT_TYPES}
-
----
-
-${FF_TYPE_SYSTEM}
-
----
-
-${FF_STATE_PATTERNS}
-
----
-
-${FF_FORBIDDEN_PATTERNS}
-
----
-
-${FF_REQUIRED_PATTERNS}
-
----
-
-${FF_INTEGRATION_GAP_TABLE}
-
----
-
-${FF_PROMPT_PROTOCOL}
-
----
-
-${FF_WORKFLOW_PROTOCOL}
-
----
-
-${FF_TROUBLESHOOTING_CHECKLIST}`;
-
 // --- SECURE STORAGE (AES-256-GCM encryption) ---
 const STORAGE_KEY_PREFIX = "ccc_api_key_";
 const ENCRYPTION_KEY_NAME = "ccc_encryption_key";
 
-// Generate or retrieve encryption key using Web Crypto API
+// Generate or retrieve encryption key using Web Crypto API. With a key vault
+// (see below) this is the passphrase-derived key instead.
 async function getEncryptionKey() {
+  if (isVaultEnabled()) {
+    if (!vaultKey) throw new VaultLockedError();
+    return vaultKey;
+  }
+
   const storedKey = sessionStorage.getItem(ENCRYPTION_KEY_NAME);
 
   if (storedKey) {
@@ -377,6 +180,348 @@ function base64ToArrayBuffer(base64) {
   return bytes;
 }
 
+// --- KEY VAULT (optional master passphrase) ---
+// With a vault, the AES key is derived with PBKDF2 from a passphrase and a
+// salt persisted in localStorage. The key is non-extractable and only held in
+// memory: stored keys survive browser restarts, but must be unlocked with the
+// passphrase, and the vault locks itself again after a period of inactivity.
+
+const VAULT_STORAGE_KEY = "ccc_vault";
+const VAULT_IDLE_STORAGE_KEY = "ccc_vault_idle_minutes";
+const VAULT_PBKDF2_ITERATIONS = 600000;
+const VAULT_CHECK_TEXT = "ccc-vault-check";
+const DEFAULT_VAULT_IDLE_MINUTES = 15;
+const KEY_EXPORT_FORMAT = "ccc-key-export";
+
+let vaultKey = null;
+let vaultIdleTimer = null;
+
+class VaultLockedError extends Error {
+  constructor() {
+    super("The key vault is locked. Unlock it with your passphrase first.");
+    this.name = "VaultLockedError";
+  }
+}
+
+function getVaultMetadata() {
+  try {
+    return JSON.parse(localStorage.getItem(VAULT_STORAGE_KEY));
+  } catch (error) {
+    console.warn("Ignoring unreadable vault metadata:", error);
+    return null;
+  }
+}
+
+function isVaultEnabled() {
+  return Boolean(getVaultMetadata());
+}
+
+function isVaultLocked() {
+  return isVaultEnabled() && !vaultKey;
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptWithKey(key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+  const combined = new Uint8Array(iv.length + encrypted.byteLength);
+  combined.set(iv);
+  combined.set(new Uint8Array(encrypted), iv.length);
+  return arrayBufferToBase64(combined);
+}
+
+// Returns null if the key doesn't match (AES-GCM authentication fails)
+async function decryptWithKey(key, encryptedBase64) {
+  try {
+    const combined = base64ToArrayBuffer(encryptedBase64);
+    const decrypted = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: combined.slice(0, 12) },
+      key,
+      combined.slice(12)
+    );
+    return new TextDecoder().decode(decrypted);
+  } catch {
+    return null;
+  }
+}
+
+// The keys currently held in memory, keyed by provider
+function getKeySet() {
+  return {
+    gemini: geminiApiKey,
+    anthropic: anthropicApiKey,
+    openai: openaiApiKey,
+    local: localApiKey,
+  };
+}
+
+// Re-encrypt a key set with whatever key getEncryptionKey() now returns
+async function storeKeySet(keys) {
+  for (const [provider, apiKey] of Object.entries(keys)) {
+    if (apiKey) await saveApiKey(provider, apiKey);
+  }
+}
+
+async function enableVault(passphrase) {
+  if (isVaultEnabled()) throw new Error("The key vault is already enabled.");
+  if (passphrase.length < 8) {
+    throw new Error("Use a passphrase of at least 8 characters.");
+  }
+
+  const keys = getKeySet();
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await derivePassphraseKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+
+  localStorage.setItem(
+    VAULT_STORAGE_KEY,
+    JSON.stringify({
+      salt: arrayBufferToBase64(salt),
+      iterations: VAULT_PBKDF2_ITERATIONS,
+      check: await encryptWithKey(key, VAULT_CHECK_TEXT),
+    })
+  );
+  vaultKey = key;
+
+  // The session key is no longer needed; don't leave its JWK behind
+  sessionStorage.removeItem(ENCRYPTION_KEY_NAME);
+  await storeKeySet(keys);
+  resetVaultIdleTimer();
+}
+
+async function unlockVault(passphrase) {
+  const vault = getVaultMetadata();
+  if (!vault) throw new Error("No key vault is set up.");
+
+  const key = await derivePassphraseKey(
+    passphrase,
+    base64ToArrayBuffer(vault.salt),
+    vault.iterations
+  );
+  if ((await decryptWithKey(key, vault.check)) !== VAULT_CHECK_TEXT) {
+    throw new Error("Wrong passphrase.");
+  }
+
+  vaultKey = key;
+  await initializeApiKeys();
+  resetVaultIdleTimer();
+}
+
+function lockVault() {
+  if (!isVaultEnabled()) return;
+  vaultKey = null;
+  clearTimeout(vaultIdleTimer);
+  geminiApiKey = "";
+  anthropicApiKey = "";
+  openaiApiKey = "";
+  localApiKey = "";
+  updateApiKeyStatusIndicators();
+  renderVaultStatus();
+}
+
+// Go back to the per-session key; stored keys are re-encrypted with it
+async function disableVault() {
+  if (isVaultLocked()) throw new VaultLockedError();
+
+  const keys = getKeySet();
+  localStorage.removeItem(VAULT_STORAGE_KEY);
+  vaultKey = null;
+  clearTimeout(vaultIdleTimer);
+  await storeKeySet(keys);
+}
+
+function getVaultIdleMinutes() {
+  const stored = localStorage.getItem(VAULT_IDLE_STORAGE_KEY);
+  const minutes = stored === null ? DEFAULT_VAULT_IDLE_MINUTES : Number(stored);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_VAULT_IDLE_MINUTES;
+}
+
+function saveVaultIdleMinutes(value) {
+  localStorage.setItem(VAULT_IDLE_STORAGE_KEY, String(Math.max(0, Number(value) || 0)));
+  resetVaultIdleTimer();
+}
+
+// 0 minutes means never auto-lock. A running pipeline postpones the lock so
+// later stages can still read their keys.
+function resetVaultIdleTimer() {
+  clearTimeout(vaultIdleTimer);
+  const minutes = getVaultIdleMinutes();
+  if (!vaultKey || minutes === 0) return;
+
+  vaultIdleTimer = setTimeout(() => {
+    if (pipelineState.isRunning || batchState.isRunning) {
+      resetVaultIdleTimer();
+      return;
+    }
+    lockVault();
+  }, minutes * 60 * 1000);
+}
+
+function initializeVault() {
+  let lastActivity = 0;
+  const onActivity = () => {
+    // Restarting the timer on every event is wasteful; once a second is plenty
+    if (!vaultKey || Date.now() - lastActivity < 1000) return;
+    lastActivity = Date.now();
+    resetVaultIdleTimer();
+  };
+  ["pointerdown", "keydown", "wheel"].forEach((type) =>
+    document.addEventListener(type, onActivity, { passive: true })
+  );
+
+  const importInput = document.getElementById("vault-import-input");
+  importInput?.addEventListener("change", () => {
+    const file = importInput.files[0];
+    importInput.value = "";
+    if (file) handleKeySetImport(file);
+  });
+
+  renderVaultStatus();
+}
+
+// Encrypted export of the key set (and local endpoint settings) for moving
+// to another machine. It has its own salt and passphrase.
+async function exportKeySet(passphrase) {
+  if (isVaultLocked()) throw new VaultLockedError();
+  if (passphrase.length < 8) {
+    throw new Error("Use a passphrase of at least 8 characters to protect the export.");
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await derivePassphraseKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+  const payload = JSON.stringify({ keys: getKeySet(), localProvider: localProviderConfig });
+
+  const blob = new Blob(
+    [
+      JSON.stringify(
+        {
+          format: KEY_EXPORT_FORMAT,
+          version: 1,
+          exportedAt: new Date().toISOString(),
+          salt: arrayBufferToBase64(salt),
+          iterations: VAULT_PBKDF2_ITERATIONS,
+          data: await encryptWithKey(key, payload),
+        },
+        null,
+        2
+      ),
+    ],
+    { type: "application/json" }
+  );
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "ccc-api-keys.json";
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+async function importKeySet(file, passphrase) {
+  if (isVaultLocked()) throw new VaultLockedError();
+
+  const exported = JSON.parse(await file.text());
+  if (exported?.format !== KEY_EXPORT_FORMAT) {
+    throw new Error("This file is not an API key export.");
+  }
+
+  const key = await derivePassphraseKey(
+    passphrase,
+    base64ToArrayBuffer(exported.salt),
+    exported.iterations
+  );
+  const payload = await decryptWithKey(key, exported.data);
+  if (payload === null) throw new Error("Wrong passphrase for this export.");
+
+  const { keys, localProvider } = JSON.parse(payload);
+  await storeKeySet(keys || {});
+  if (localProvider) saveLocalProviderConfig(localProvider);
+  await initializeApiKeys();
+}
+
+// Run a vault action from the API Keys modal, reading the passphrase field
+async function runVaultAction(action) {
+  const input = document.getElementById("vault-passphrase-input");
+  const passphrase = input?.value || "";
+
+  try {
+    if (action === "enable") await enableVault(passphrase);
+    else if (action === "unlock") await unlockVault(passphrase);
+    else if (action === "lock") lockVault();
+    else if (action === "disable") {
+      if (!confirm("Disable the vault? Keys will be kept only for this browser session again.")) return;
+      await disableVault();
+    } else if (action === "export") await exportKeySet(passphrase);
+    if (input) input.value = "";
+  } catch (error) {
+    alert(error.message);
+  }
+
+  updateApiKeyStatusIndicators();
+  renderVaultStatus();
+  if (document.getElementById("api-keys-modal")?.classList.contains("open")) {
+    loadApiKeyInputs();
+  }
+}
+
+async function handleKeySetImport(file) {
+  const input = document.getElementById("vault-passphrase-input");
+  try {
+    await importKeySet(file, input?.value || "");
+    if (input) input.value = "";
+    loadApiKeyInputs();
+  } catch (error) {
+    alert(`Could not import keys: ${error.message}`);
+  }
+  renderVaultStatus();
+}
+
+function renderVaultStatus() {
+  const enabled = isVaultEnabled();
+  const locked = isVaultLocked();
+
+  document.getElementById("vault-lock-indicator")?.classList.toggle("hidden", !locked);
+
+  const status = document.getElementById("vault-status");
+  if (status) {
+    status.textContent = !enabled
+      ? "Off - keys are kept for this browser session only."
+      : locked
+        ? "Locked - enter your passphrase to unlock."
+        : "Unlocked";
+    status.className = `text-xs ${locked ? "text-amber-600" : enabled ? "text-green-600" : "text-gray-500"}`;
+  }
+
+  const show = (id, visible) =>
+    document.getElementById(id)?.classList.toggle("hidden", !visible);
+  show("vault-enable-btn", !enabled);
+  show("vault-unlock-btn", locked);
+  show("vault-lock-btn", enabled && !locked);
+  show("vault-disable-btn", enabled && !locked);
+  show("vault-export-btn", !locked);
+  show("vault-import-label", !locked);
+
+  const idle = document.getElementById("vault-idle-minutes");
+  if (idle) idle.value = getVaultIdleMinutes();
+}
+
 // --- API KEY MANAGEMENT ---
 
 async function saveApiKey(provider, apiKey) {
@@ -392,12 +537,13 @@ async function saveApiKey(provider, apiKey) {
 async function getApiKey(provider) {
   // Only check user-stored key - no environment fallback
   const encrypted = localStorage.getItem(STORAGE_KEY_PREFIX + provider);
-  if (encrypted) {
+  if (encrypted && !isVaultLocked()) {
     const decrypted = await decryptData(encrypted);
     if (decrypted) return decrypted;
-    
-    // If decryption failed, clean up the stale encrypted data
-    localStorage.removeItem(STORAGE_KEY_PREFIX + provider);
+
+    // A session key from a closed browser can't be recovered, so clean up
+    // the stale data. Vault data is kept: the passphrase still opens it.
+    if (!isVaultEnabled()) localStorage.removeItem(STORAGE_KEY_PREFIX + provider);
   }
 
   // Return empty string if no user key is configured
@@ -405,6 +551,9 @@ async function getApiKey(provider) {
 }
 
 function hasStoredKey(provider) {
+  // A local endpoint is usable once its URL and model are set; the key is optional
+  if (provider === "local") return isLocalProviderConfigured();
+
   // Check if we actually have a usable (decrypted) key, not just encrypted data
   const keys = {
     gemini: geminiApiKey,
@@ -414,20 +563,102 @@ function hasStoredKey(provider) {
   return keys[provider] && keys[provider].length > 0;
 }
 
+// Keys configured on the proxy's server environment. The browser only learns
+// which providers have one (from /api/status), never the keys themselves.
+const SERVER_STATUS_URL = "/api/status";
+
+let serverKeyStatus = {};
+
+async function loadServerKeyStatus() {
+  try {
+    const response = await fetch(SERVER_STATUS_URL, {
+      headers: { Accept: "application/json" },
+      signal: AbortSignal.timeout(5000),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    serverKeyStatus = data?.serverKeys || {};
+  } catch (error) {
+    // Static hosting without the proxies: only browser keys can work
+    console.warn("Server key status unavailable:", error.message);
+    serverKeyStatus = {};
+  }
+}
+
 function hasEnvKey(provider) {
-  // Environment keys are not used by default
-  return false;
+  return serverKeyStatus[provider] === true;
 }
 
 // Get current active API keys (for use in API calls)
 let geminiApiKey = "";
 let anthropicApiKey = "";
 let openaiApiKey = "";
+let localApiKey = "";
+
+// Provider calls read the keys and local endpoint from here at call time
+configureProviders({
+  getApiKey: (provider) =>
+    ({ gemini: geminiApiKey, anthropic: anthropicApiKey, openai: openaiApiKey })[provider] || "",
+  hasServerKey: hasEnvKey,
+  getLocalEndpoint: () => ({ ...localProviderConfig, apiKey: localApiKey }),
+});
+
+// --- LOCAL MODEL ENDPOINT ---
+// Endpoint settings are not secret, so they live in plain localStorage; the
+// optional key goes through the encrypted key store like the others.
+const LOCAL_PROVIDER_STORAGE_KEY = "ccc_local_provider";
+
+let localProviderConfig = { baseUrl: "", protocol: "chat", model: "" };
+
+function loadLocalProviderConfig() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(LOCAL_PROVIDER_STORAGE_KEY) || "{}"
+    );
+    localProviderConfig = {
+      baseUrl: stored.baseUrl || "",
+      protocol: stored.protocol === "responses" ? "responses" : "chat",
+      model: stored.model || "",
+    };
+  } catch (error) {
+    console.warn("Ignoring unreadable local endpoint settings:", error);
+  }
+}
+
+function saveLocalProviderConfig(config) {
+  localProviderConfig = {
+    baseUrl: config.baseUrl.trim().replace(/\/+$/, ""),
+    protocol: config.protocol === "responses" ? "responses" : "chat",
+    model: config.model.trim(),
+  };
+  localStorage.setItem(
+    LOCAL_PROVIDER_STORAGE_KEY,
+    JSON.stringify(localProviderConfig)
+  );
+}
+
+function isLocalProviderConfigured() {
+  return Boolean(localProviderConfig.baseUrl && localProviderConfig.model);
+}
+
+// Show the configured local model name in every model selector
+function updateLocalModelOptions() {
+  const label = localProviderConfig.model
+    ? `Local: ${localProviderConfig.model}`
+    : "Local model (configure in API Keys)";
+  document
+    .querySelectorAll('select option[value="local"]')
+    .forEach((option) => (option.textContent = label));
+}
 
 async function initializeApiKeys() {
   geminiApiKey = await getApiKey("gemini");
   anthropicApiKey = await getApiKey("anthropic");
   openaiApiKey = await getApiKey("openai");
+  localApiKey = await getApiKey("local");
+  await loadServerKeyStatus();
+  loadLocalProviderConfig();
+  updateLocalModelOptions();
   updateApiKeyStatusIndicators();
 }
 
@@ -457,30 +688,50 @@ async function loadApiKeyInputs() {
     geminiInput.value = "";
     geminiInput.placeholder = "Key saved (enter new to replace)";
   } else {
-    geminiInput.placeholder = "Enter your Gemini API key";
+    geminiInput.placeholder = hasEnvKey("gemini")
+      ? "Optional - the server key is used"
+      : "Enter your Gemini API key";
   }
 
   if (anthropicApiKey) {
     anthropicInput.value = "";
     anthropicInput.placeholder = "Key saved (enter new to replace)";
   } else {
-    anthropicInput.placeholder = "Enter your Claude API key";
+    anthropicInput.placeholder = hasEnvKey("anthropic")
+      ? "Optional - the server key is used"
+      : "Enter your Claude API key";
   }
 
   if (openaiApiKey) {
     openaiInput.value = "";
     openaiInput.placeholder = "Key saved (enter new to replace)";
   } else {
-    openaiInput.placeholder = "Enter your OpenAI API key";
+    openaiInput.placeholder = hasEnvKey("openai")
+      ? "Optional - the server key is used"
+      : "Enter your OpenAI API key";
   }
 
+  document.getElementById("local-base-url-input").value =
+    localProviderConfig.baseUrl;
+  document.getElementById("local-protocol-select").value =
+    localProviderConfig.protocol;
+  document.getElementById("local-model-input").value =
+    localProviderConfig.model;
+  const localKeyInput = document.getElementById("local-api-key-input");
+  localKeyInput.value = "";
+  localKeyInput.placeholder = localApiKey
+    ? "Key saved (enter new to replace)"
+    : "Optional - only if your server requires one";
+
   updateModalKeyStatuses();
+  renderVaultStatus();
 }
 
 function updateModalKeyStatuses() {
   updateKeyStatus("gemini", "gemini-key-status");
   updateKeyStatus("anthropic", "anthropic-key-status");
   updateKeyStatus("openai", "openai-key-status");
+  updateKeyStatus("local", "local-key-status");
 }
 
 function updateKeyStatus(provider, statusElementId) {
@@ -493,7 +744,14 @@ function updateKeyStatus(provider, statusElementId) {
   if (hasStoredKey(provider)) {
     dot.className = "key-status-dot configured";
     text.className = "text-green-600";
-    text.textContent = "User key configured";
+    text.textContent =
+      provider === "local"
+        ? `Endpoint configured (${localProviderConfig.model})`
+        : "User key configured";
+  } else if (hasEnvKey(provider)) {
+    dot.className = "key-status-dot env";
+    text.className = "text-blue-600";
+    text.textContent = "Server key configured";
   } else {
     dot.className = "key-status-dot missing";
     text.className = "text-gray-500";
@@ -506,14 +764,20 @@ function updateApiKeyStatusIndicators() {
   if (!container) return;
 
   const dots = container.querySelectorAll(".key-status-dot");
-  const providers = ["gemini", "anthropic", "openai"];
+  const providers = ["gemini", "anthropic", "openai", "local"];
 
   dots.forEach((dot, index) => {
     const provider = providers[index];
     if (hasStoredKey(provider)) {
       dot.className = "key-status-dot configured";
       dot.title =
-        provider.charAt(0).toUpperCase() + provider.slice(1) + " (User key)";
+        provider.charAt(0).toUpperCase() +
+        provider.slice(1) +
+        (provider === "local" ? " (Endpoint)" : " (User key)");
+    } else if (hasEnvKey(provider)) {
+      dot.className = "key-status-dot env";
+      dot.title =
+        provider.charAt(0).toUpperCase() + provider.slice(1) + " (Server key)";
     } else {
       dot.className = "key-status-dot missing";
       dot.title =
@@ -525,6 +789,11 @@ function updateApiKeyStatusIndicators() {
 }
 
 async function saveApiKeys() {
+  if (isVaultLocked()) {
+    alert("Unlock the key vault before changing keys.");
+    return;
+  }
+
   const geminiInput = document.getElementById("gemini-api-key-input");
   const anthropicInput = document.getElementById("anthropic-api-key-input");
   const openaiInput = document.getElementById("openai-api-key-input");
@@ -540,6 +809,16 @@ async function saveApiKeys() {
     await saveApiKey("openai", openaiInput.value);
   }
 
+  saveLocalProviderConfig({
+    baseUrl: document.getElementById("local-base-url-input").value,
+    protocol: document.getElementById("local-protocol-select").value,
+    model: document.getElementById("local-model-input").value,
+  });
+  const localKeyInput = document.getElementById("local-api-key-input");
+  if (localKeyInput.value.trim()) {
+    await saveApiKey("local", localKeyInput.value);
+  }
+
   // Reinitialize keys
   await initializeApiKeys();
 
@@ -566,6 +845,7 @@ async function clearAllApiKeys() {
   localStorage.removeItem(STORAGE_KEY_PREFIX + "gemini");
   localStorage.removeItem(STORAGE_KEY_PREFIX + "anthropic");
   localStorage.removeItem(STORAGE_KEY_PREFIX + "openai");
+  localStorage.removeItem(STORAGE_KEY_PREFIX + "local");
 
   // Reinitialize keys (will fall back to env keys)
   await initializeApiKeys();
@@ -593,737 +873,1552 @@ function toggleKeyVisibility(inputId) {
   }
 }
 
+// --- STAGE MODEL SELECTION ---
+// Architect, Generator and Dissector each pick a model from MODEL_CATALOG.
+// The choice is remembered in this browser across sessions.
+const STAGE_MODELS_STORAGE_KEY = "ccc_stage_models";
+
+function loadStageModelSelection() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STAGE_MODELS_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.warn("Ignoring unreadable stage model selection:", error);
+  }
+
+  const selection = {};
+  for (const [stage, config] of Object.entries(PIPELINE_STAGES)) {
+    selection[stage] = MODEL_CATALOG[stored[stage]]
+      ? stored[stage]
+      : config.defaultModel;
+  }
+  return selection;
+}
+
+function saveStageModelSelection() {
+  localStorage.setItem(
+    STAGE_MODELS_STORAGE_KEY,
+    JSON.stringify(getStageModels())
+  );
+}
+
+function getStageModel(stage) {
+  const select = document.getElementById(PIPELINE_STAGES[stage].selectId);
+  return select?.value || PIPELINE_STAGES[stage].defaultModel;
+}
+
+function getStageModels() {
+  const models = {};
+  for (const stage of Object.keys(PIPELINE_STAGES)) {
+    models[stage] = getStageModel(stage);
+  }
+  return models;
+}
+
+function setStageModels(models) {
+  for (const [stage, config] of Object.entries(PIPELINE_STAGES)) {
+    const select = document.getElementById(config.selectId);
+    if (select && MODEL_CATALOG[models?.[stage]]) {
+      select.value = models[stage];
+    }
+  }
+}
+
+// Fill each stage selector with the catalog, grouped by provider
+function initializeStageModelSelects() {
+  const selection = loadStageModelSelection();
+
+  for (const [stage, config] of Object.entries(PIPELINE_STAGES)) {
+    const select = document.getElementById(config.selectId);
+    if (!select) continue;
+
+    select.innerHTML = Object.entries(PROVIDERS)
+      .map(([provider, providerInfo]) => {
+        const options = Object.entries(MODEL_CATALOG)
+          .filter(([, model]) => model.provider === provider)
+          .map(
+            ([key, model]) =>
+              `<option value="${key}">${escapeHtml(model.label)}</option>`
+          )
+          .join("");
+        return `<optgroup label="${escapeHtml(providerInfo.label)}">${options}</optgroup>`;
+      })
+      .join("");
+
+    select.value = selection[stage];
+    select.addEventListener("change", saveStageModelSelection);
+  }
+
+  updateLocalModelOptions();
+}
+
+// Stages between fromStep and toStep whose provider has no usable key
+function getStagesMissingKeys(fromStep, toStep, { compare = isCompareMode() } = {}) {
+  return Object.entries(PIPELINE_STAGES)
+    .filter(([, config]) => config.step >= fromStep && config.step <= toStep)
+    // Compare mode uses its own model list and skips models without keys
+    .filter(([stage]) => !(stage === "generator" && compare))
+    .map(([stage, config]) => {
+      const provider = MODEL_CATALOG[getStageModel(stage)]?.provider;
+      return { stage, label: config.label, provider };
+    })
+    .filter(({ provider }) => !hasStoredKey(provider) && !hasEnvKey(provider));
+}
+
 // --- APP STATE ---
 let pipelineState = {
   step1Result: null,
+  step1Spec: null,
   step2Result: null,
   step3Result: null,
+  lintFindings: [],
+  repairIterations: [],
+  selectedIteration: 0,
+  currentRun: null,
+  pausedAfter: 0,
+  attachments: [],
   currentStep: 0,
   isRunning: false,
+  abortController: null, // Aborts in-flight model calls when the run is cancelled
+  retries: {}, // Retry count per step for the current run
+  usage: {}, // Token usage entries per step for the current run
+  auditReport: null, // Parsed dissector findings (null for unstructured audits)
+  auditedCode: null, // The code auditReport and lintFindings refer to
+  auditView: "findings", // Step 3 shows "findings" or the markdown "report"
+  comparison: null, // Compare-mode candidates and the picked winner
 };
 
-// --- CORE API FUNCTIONS ---
-
-async function checkConnection() {
-  // Initialize API keys from storage/env
-  await initializeApiKeys();
-
-  if (!geminiApiKey) {
-    console.warn(
-      "Gemini API Key not found. Configure via API Keys settings or .env file"
-    );
-    return false;
+// --- RUN HISTORY (IndexedDB) ---
+// Every pipeline run is persisted locally so earlier specs, code and audits
+// survive reloads and can be restored into the stage panels.
+
+const HISTORY_DB_NAME = "ccc_history";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "runs";
+
+let historyDbPromise = null;
+let historyRuns = [];
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          const store = db.createObjectStore(HISTORY_STORE, { keyPath: "id" });
+          store.createIndex("createdAt", "createdAt");
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
   }
-  return true;
+  return historyDbPromise;
 }
 
-async function callGemini(
-  prompt,
-  systemInstruction,
-  modelId = PROMPT_ARCHITECT_MODEL
-) {
-  // Use same-origin proxy to avoid CORS issues
-  const url = `/api/gemini/v1beta/models/${modelId}:generateContent`;
-  const payload = {
-    contents: [{ parts: [{ text: prompt }] }],
-    systemInstruction: { parts: [{ text: systemInstruction }] },
-    generationConfig: {
-      maxOutputTokens: 16384,
-    },
-  };
+async function historyRequest(mode, operation) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    const request = operation(transaction.objectStore(HISTORY_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
 
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-goog-api-key": geminiApiKey,
-      },
-      body: JSON.stringify(payload),
-    });
+async function putHistoryRun(run) {
+  await historyRequest("readwrite", (store) => store.put(run));
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("Gemini API Error:", response.status, errorText);
-      throw new Error(`Gemini API failed: ${response.status}`);
-    }
+async function deleteHistoryRun(id) {
+  await historyRequest("readwrite", (store) => store.delete(id));
+}
 
-    const data = await response.json();
-    return data.candidates?.[0]?.content?.parts?.[0]?.text;
+async function loadRunHistory() {
+  try {
+    historyRuns = await historyRequest("readonly", (store) => store.getAll());
   } catch (error) {
-    console.error("Gemini call failed:", error);
-    if (modelId !== FALLBACK_MODEL) {
-      console.log("Trying fallback model...");
-      return callGemini(prompt, systemInstruction, FALLBACK_MODEL);
-    }
-    throw error;
+    console.warn("Failed to load run history:", error);
+    historyRuns = [];
   }
+  renderRunHistory();
 }
 
-async function callClaude(prompt, systemInstruction) {
-  if (!anthropicApiKey) {
-    throw new Error("Anthropic API key not found");
-  }
+// Merge a patch into the run being executed and persist it. History is a
+// convenience, so storage failures are logged and never break the pipeline.
+async function saveCurrentRun(patch) {
+  const run = pipelineState.currentRun;
+  if (!run) return;
+  await saveRun(run, patch);
+}
 
-  // Use proxy to avoid CORS issues
-  const url = "/api/anthropic/v1/messages";
-  const payload = {
-    model: "claude-opus-4-5-20251101",
-    max_tokens: 16384,
-    system: systemInstruction,
-    messages: [{ role: "user", content: prompt }],
-  };
+// Same for runs outside the stage panels (batch items)
+async function saveRun(run, patch) {
+  Object.assign(run, patch, { updatedAt: Date.now() });
 
-  try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": anthropicApiKey,
-        "anthropic-version": "2023-06-01",
-        "anthropic-dangerous-direct-browser-access": "true",
-      },
-      body: JSON.stringify(payload),
-    });
+  const index = historyRuns.findIndex((entry) => entry.id === run.id);
+  if (index === -1) historyRuns.push(run);
+  else historyRuns[index] = run;
+  renderRunHistory();
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("Claude API Error:", response.status, errorText);
-
-      // Handle specific error types
-      if (errorText.includes("image") || errorText.includes("media")) {
-        throw new Error(
-          "Claude API error: This model doesn't support image input. Please use Gemini 3.0 Pro for image-based requests."
-        );
-      }
-
-      if (response.status === 401) {
-        throw new Error(
-          "Claude API authentication failed. Please check your Anthropic API key in the .env file."
-        );
-      }
-
-      throw new Error(`Claude API failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.content?.[0]?.text;
+  try {
+    await putHistoryRun(structuredClone(run));
   } catch (error) {
-    console.error("Claude call failed:", error);
-    throw error;
+    console.warn("Failed to save run to history:", error);
   }
 }
 
-async function callOpenAI(prompt, systemInstruction) {
-  if (!openaiApiKey) {
-    throw new Error("OpenAI API key not found");
+function getRunDisplayName(run) {
+  if (run.name) return run.name;
+  if (run.artifactName) return run.artifactName;
+  const input = (run.userInput || "").trim();
+  return input.length > 48 ? input.slice(0, 48) + "…" : input || "Untitled run";
+}
+
+function renderRunHistory() {
+  const list = document.getElementById("run-history-list");
+  if (!list) return;
+
+  const query = (
+    document.getElementById("run-history-search")?.value || ""
+  ).toLowerCase();
+
+  const runs = historyRuns
+    .filter((run) =>
+      [getRunDisplayName(run), run.userInput, run.selectedModel, run.artifactName]
+        .filter(Boolean)
+        .some((field) => field.toLowerCase().includes(query))
+    )
+    .sort((a, b) => (b.pinned === true) - (a.pinned === true) || b.createdAt - a.createdAt);
+
+  if (runs.length === 0) {
+    list.innerHTML = `<p class="text-xs text-gray-400 px-1">${
+      historyRuns.length === 0 ? "No runs yet." : "No runs match your search."
+    }</p>`;
+    return;
   }
 
-  // GPT-5-Codex models require the Responses API, not Chat Completions
-  const url = "/api/openai/v1/responses";
-  
-  // Responses API uses 'input' with instructions, not messages array
-  // Note: temperature is not supported with codex models
-  const payload = {
-    model: "gpt-5.1-codex-max",
-    instructions: systemInstruction,
-    input: prompt,
-    max_output_tokens: 16384,
+  const statusDots = {
+    completed: "configured",
+    running: "env",
+    paused: "env",
+    failed: "error",
   };
 
+  list.innerHTML = runs
+    .map((run) => {
+      const id = escapeHtml(run.id);
+      const active = pipelineState.currentRun?.id === run.id;
+      return `<div class="history-item ${active ? "active" : ""}" onclick="restoreRun('${id}')">
+        <div class="flex items-center gap-2">
+          <div class="key-status-dot ${statusDots[run.status] || "missing"}" title="${escapeHtml(run.status)}"></div>
+          <span class="text-sm text-gray-800 truncate flex-1">${run.pinned ? "📌 " : ""}${escapeHtml(getRunDisplayName(run))}</span>
+          <div class="history-actions flex gap-1">
+            <button title="${run.pinned ? "Unpin" : "Pin"}" onclick="event.stopPropagation(); toggleRunPinned('${id}')">📌</button>
+            <button title="Rename" onclick="event.stopPropagation(); renameRun('${id}')">✏️</button>
+            <button title="Delete" onclick="event.stopPropagation(); deleteRun('${id}')">🗑️</button>
+          </div>
+        </div>
+        <div class="text-xs text-gray-400 mt-0.5 pl-4" title="Rules: ${escapeHtml(formatRulePackVersion(run.rulePack))}">${new Date(run.createdAt).toLocaleString()} · ${escapeHtml(run.selectedModel || "")}</div>
+      </div>`;
+    })
+    .join("");
+}
+
+async function updateHistoryRun(id, patch) {
+  const run = historyRuns.find((entry) => entry.id === id);
+  if (!run) return;
+
+  Object.assign(run, patch, { updatedAt: Date.now() });
+  renderRunHistory();
+
   try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-openai-api-key": openaiApiKey,
-      },
-      body: JSON.stringify(payload),
-    });
+    await putHistoryRun(structuredClone(run));
+  } catch (error) {
+    console.warn("Failed to update run:", error);
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("OpenAI API Error:", response.status, errorText);
-
-      // Handle specific error types
-      if (
-        errorText.includes("image") ||
-        errorText.includes("vision") ||
-        errorText.includes("media")
-      ) {
-        throw new Error(
-          "OpenAI API error: This model doesn't support image input. Please use Gemini 3.0 Pro for image-based requests."
-        );
-      }
+function renameRun(id) {
+  const run = historyRuns.find((entry) => entry.id === id);
+  if (!run) return;
 
-      if (response.status === 401) {
-        throw new Error(
-          "OpenAI API authentication failed. Please check your OpenAI API key in the .env file."
-        );
-      }
+  const name = prompt("Rename run:", getRunDisplayName(run));
+  if (name === null) return;
+  updateHistoryRun(id, { name: name.trim() || null });
+}
 
-      throw new Error(`OpenAI API failed: ${response.status}`);
-    }
+function toggleRunPinned(id) {
+  const run = historyRuns.find((entry) => entry.id === id);
+  if (run) updateHistoryRun(id, { pinned: !run.pinned });
+}
 
-    const data = await response.json();
-    // Responses API returns output array with reasoning and message objects
-    // Find the message object and extract text from content
-    const messageOutput = data.output?.find(item => item.type === "message");
-    const textContent = messageOutput?.content?.find(c => c.type === "output_text");
-    return textContent?.text || "";
+async function deleteRun(id) {
+  const run = historyRuns.find((entry) => entry.id === id);
+  if (!run) return;
+  if (!confirm(`Delete "${getRunDisplayName(run)}" from history?`)) return;
+
+  historyRuns = historyRuns.filter((entry) => entry.id !== id);
+  if (pipelineState.currentRun?.id === id) pipelineState.currentRun = null;
+  renderRunHistory();
+
+  try {
+    await deleteHistoryRun(id);
   } catch (error) {
-    console.error("OpenAI call failed:", error);
-    throw error;
+    console.warn("Failed to delete run:", error);
   }
 }
 
-// --- PIPELINE FUNCTIONS ---
+// Load a saved run back into the input, model selector and stage panels
+function restoreRun(id) {
+  if (pipelineState.isRunning) return;
 
-async function runPromptArchitect(userInput) {
-  // Derive system instruction from shared template + architect-specific additions
-  const architectSpecificInstructions = `## YOUR ROLE
+  const run = historyRuns.find((entry) => entry.id === id);
+  if (!run) return;
+
+  document.getElementById("pipeline-input").value = run.userInput || "";
+  pipelineState.attachments = run.attachments || [];
+  renderAttachments();
+  setStageModels(run.stageModels || { generator: run.selectedModel });
+
+  pipelineState.currentRun = run;
+  pipelineState.step1Result = run.step1Result || null;
+  pipelineState.step1Spec = run.step1Spec || null;
+  pipelineState.step2Result = run.step2Result || null;
+  pipelineState.step3Result = run.step3Result || null;
+  pipelineState.lintFindings = run.lintFindings || [];
+  pipelineState.auditReport =
+    run.auditReport ?? (run.step3Result ? parseAuditReport(run.step3Result) : null);
+  pipelineState.auditedCode =
+    run.auditedCode ?? (run.step3Result ? run.step2Result : null);
+  pipelineState.comparison = run.comparison || null;
+  renderComparison();
+  pipelineState.repairIterations = run.repairIterations || [];
+  pipelineState.selectedIteration = Math.max(0, pipelineState.repairIterations.length - 1);
 
-You are a FlutterFlow Integration Architect. Your job is to analyze a user's request and produce a comprehensive, structured JSON specification for a code generator that will create FlutterFlow-compatible Dart code.
+  dismissWelcomeVideo();
+  document.getElementById("ready-state")?.classList.add("hidden");
+
+  pipelineState.retries = run.retries || {};
+  pipelineState.usage = run.usage || {};
+  renderUsageSummary();
+  for (let step = 1; step <= 3; step++) {
+    renderStepOutput(step);
+    renderStageRetries(step);
+  }
+  document.getElementById("step1-validation").innerHTML = run.specValidation
+    ? renderSpecValidation(run.specValidation)
+    : "";
+  renderRepairIterations();
+
+  const stepResults = [run.step1Result, run.step2Result, run.step3Result];
+  stepResults.forEach((result, index) => {
+    const step = index + 1;
+    if (result) {
+      showStepLoading(step, false);
+    } else {
+      document.getElementById(`step${step}-loading`).classList.add("hidden");
+      document.getElementById(`step${step}-result`).classList.add("hidden");
+      updateStepIndicator(step, "pending");
+    }
+  });
 
-You understand the "Parser Gap" - valid Dart can still be invalid to FlutterFlow's stricter parser.
+  const lastStep = stepResults.filter(Boolean).length;
+  pipelineState.pausedAfter =
+    run.status === "paused" && lastStep < 3 ? lastStep : 0;
+  setSpecEditorVisible(pipelineState.pausedAfter === 1);
+  renderStageActions();
 
----
+  selectWorkflowStep(Math.max(1, lastStep));
+  renderRunHistory();
+}
 
-## YOUR TASK
+// --- USAGE & COST ---
+// Token counts come from the providers' usage fields; cost is computed from
+// an editable price table (USD per 1M tokens) at the time of the call.
+const DEFAULT_MODEL_PRICES = {
+  "gemini-3-flash": { input: 0.5, output: 3 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-3.0-pro": { input: 2, output: 12 },
+  "claude-4.5-opus": { input: 5, output: 25 },
+  "claude-4.5-sonnet": { input: 3, output: 15 },
+  "claude-4.5-haiku": { input: 1, output: 5 },
+  "gpt-5.1-codex-max": { input: 1.25, output: 10 },
+  "gpt-5.1": { input: 1.25, output: 10 },
+  local: { input: 0, output: 0 },
+};
 
-Analyze the user's request and output a JSON specification with this exact structure:
+const MODEL_PRICES_STORAGE_KEY = "ccc_model_prices";
+const BUDGET_STORAGE_KEY = "ccc_budget";
+// Session spend lasts as long as the browser tab
+const SESSION_USAGE_STORAGE_KEY = "ccc_session_usage";
 
-{
-  "artifactType": "CustomWidget" | "CustomAction" | "CustomFunction" | "CodeFile",
-  "artifactName": "ExactNameInPascalCase",
-  "rationale": "Why this artifact type is appropriate for this request",
-  
-  "parameters": [
-    {
-      "name": "paramName",
-      "ffType": "FlutterFlow UI type (e.g., Double, String, Data Type - GaugeZone)",
-      "dartType": "Dart type (e.g., double?, String, List<GaugeZoneStruct>)",
-      "required": true | false,
-      "isList": true | false,
-      "defaultHandling": "How null/missing values should be handled"
-    }
-  ],
-  
-  "dataTypesRequired": [
-    {
-      "structName": "NameOfStruct",
-      "fields": [
-        {"name": "fieldName", "type": "String | int | double | bool | Color | DateTime | List<T>"}
-      ],
-      "purpose": "What this struct represents"
-    }
-  ],
-  
-  "dependencies": {
-    "allowed": true | false,
-    "packages": ["package_name: ^version"] | [],
-    "dartImports": ["dart:math", "dart:convert"] | [],
-    "nativeConfigRequired": "Description of any AndroidManifest/Info.plist changes needed, or null",
-    "note": "Explanation if dependencies are restricted"
-  },
-  
-  "implementationSpec": {
-    "description": "Detailed description of what the code should do",
-    "visualRequirements": "For widgets: appearance, colors, layout behavior",
-    "behavioralRequirements": "Interactions, animations, state changes",
-    "edgeCases": ["List of edge cases to handle"],
-    "flutterFlowPatterns": ["Use FlutterFlowTheme.of(context).primary for colors", "other FF-specific patterns"],
-    "stateAccessPattern": "none | readonly | reactive (using FFAppState().update())"
-  },
-  
-  "constraints": {
-    "artifactSpecific": ["Constraints specific to this artifact type"],
-    "nullSafety": ["Null handling requirements"],
-    "layoutSafety": ["For widgets: overflow prevention, size handling"],
-    "parserSafety": ["For Code Files: no generics, no extensions, no function-typed params"]
-  },
-  
-  "antiPatterns": {
-    "mustNotInclude": ["main()", "runApp()", "MaterialApp", "Scaffold", "import statements"],
-    "mustNotUse": ["FFAppState() direct access without parameter passing", "hardcoded Colors.*", "ValueChanged<T> callbacks"],
-    "reasoning": ["Why each anti-pattern is forbidden in FlutterFlow context"]
-  },
-  
-  "userActionsRequired": {
-    "inFlutterFlowUI": ["Create Custom Widget named X", "Add parameters Y, Z in UI", "Add dependency P in Project Settings"],
-    "dataTypesToCreate": ["Create Struct named X with fields A, B, C"],
-    "configFilesIfNeeded": ["Edit AndroidManifest for permission X"]
-  }
-}
-
----
-
-## ARTIFACT-SPECIFIC CONSTRAINT RULES
-
-When artifactType is "CustomFunction":
-- dependencies.allowed MUST be false
-- dependencies.packages MUST be empty []
-- dependencies.note MUST explain "Custom Functions cannot use external packages - pure Dart only"
-- antiPatterns.mustNotInclude MUST include any async/await keywords
-- No Future return types allowed
-
-When artifactType is "CustomAction":
-- Return type MUST be Future<T>
-- constraints.artifactSpecific MUST mention "Must use async/await pattern"
-- constraints.artifactSpecific MUST mention "Return type is always Future"
-- dependencies.allowed is true
-
-When artifactType is "CustomWidget":
-- parameters MUST include width (double?, not required) and height (double?, not required) FIRST
-- constraints.layoutSafety MUST address null width/height handling
-- constraints.layoutSafety MUST mention overflow prevention
-- constraints.layoutSafety MUST mention using LayoutBuilder if size-dependent rendering
-- implementationSpec.flutterFlowPatterns MUST include FlutterFlowTheme usage
-- If stateful, antiPatterns MUST mention proper disposal of controllers
-- antiPatterns.mustNotUse MUST include "navigation inside widget" and "database writes inside widget"
-
-When artifactType is "CodeFile":
-- constraints.parserSafety MUST include "No generics", "No extensions", "No function-typed params"
-- Note that Code Files are for parse-friendly utilities only
-
----
-
-Output ONLY the raw JSON object. No markdown code fences, no explanatory text, no preamble. Just valid JSON.`;
-
-  const systemInstruction = `${FF_SHARED_CONSTRAINTS}
-
----
-
-${architectSpecificInstructions}`;
-
-  const prompt = `Analyze this FlutterFlow custom code request and produce a JSON specification:
-
-"${userInput}"
-
-Remember: Output ONLY valid JSON matching the specified structure.`;
+function loadModelPrices() {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(localStorage.getItem(MODEL_PRICES_STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.warn("Ignoring unreadable price table:", error);
+  }
+  const prices = {};
+  for (const key of Object.keys(MODEL_CATALOG)) {
+    prices[key] = {
+      ...(DEFAULT_MODEL_PRICES[key] || { input: 0, output: 0 }),
+      ...overrides[key],
+    };
+  }
+  return prices;
+}
+
+let modelPrices = loadModelPrices();
+
+function updateModelPrice(modelKey, field, value) {
+  const price = Number(value);
+  if (!MODEL_CATALOG[modelKey] || !Number.isFinite(price) || price < 0) {
+    renderPriceTable();
+    return;
+  }
+  modelPrices[modelKey][field] = price;
+  localStorage.setItem(MODEL_PRICES_STORAGE_KEY, JSON.stringify(modelPrices));
+}
+
+function resetModelPrices() {
+  localStorage.removeItem(MODEL_PRICES_STORAGE_KEY);
+  modelPrices = loadModelPrices();
+  renderPriceTable();
+}
+
+function calculateCost(modelKey, inputTokens, outputTokens) {
+  const price = modelPrices[modelKey] || { input: 0, output: 0 };
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
 
+function loadSessionUsage() {
   try {
-    const result = await callGemini(
-      prompt,
-      systemInstruction,
-      PROMPT_ARCHITECT_MODEL
-    );
-    return result;
+    const stored = JSON.parse(sessionStorage.getItem(SESSION_USAGE_STORAGE_KEY));
+    if (stored) return stored;
   } catch (error) {
-    console.error("Prompt Architect failed:", error);
-    throw error;
+    console.warn("Ignoring unreadable session usage:", error);
   }
+  return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
 }
 
-async function runCodeGenerator(masterPrompt, selectedModel) {
-  let result;
+let sessionUsage = loadSessionUsage();
 
-  // Code Generator specific instructions that extend the shared template
-  const codeGeneratorSpecificInstructions = `## YOUR ROLE
+function getBudgetSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BUDGET_STORAGE_KEY) || "{}");
+    return {
+      limit: Number(stored.limit) > 0 ? Number(stored.limit) : null,
+      mode: stored.mode === "block" ? "block" : "warn",
+    };
+  } catch (error) {
+    return { limit: null, mode: "warn" };
+  }
+}
 
-You are a Senior Flutter/Dart Engineer specializing in FlutterFlow custom code production. You receive a JSON specification and output ONLY production-ready Dart code that compiles immediately when pasted into FlutterFlow.
+function saveBudgetSettings() {
+  const limit = Number(document.getElementById("budget-limit").value);
+  localStorage.setItem(
+    BUDGET_STORAGE_KEY,
+    JSON.stringify({
+      limit: limit > 0 ? limit : null,
+      mode: document.getElementById("budget-mode").value,
+    })
+  );
+  renderUsageSummary();
+}
 
-You understand that FlutterFlow is the host organism - your code must conform to its rules, not the other way around.
+// Record one model call against a pipeline step and the session total
+function recordUsage(step, usage) {
+  const entry = addSessionUsage(usage);
+  pipelineState.usage[step] = [...(pipelineState.usage[step] || []), entry];
+  renderUsageSummary();
+}
 
----
+// Add one model call to the session total; returns the entry with its cost
+function addSessionUsage(usage) {
+  const cost = calculateCost(usage.model, usage.inputTokens, usage.outputTokens);
 
-## HARD CONSTRAINTS (NON-NEGOTIABLE)
+  sessionUsage = {
+    calls: sessionUsage.calls + 1,
+    inputTokens: sessionUsage.inputTokens + usage.inputTokens,
+    outputTokens: sessionUsage.outputTokens + usage.outputTokens,
+    cost: sessionUsage.cost + cost,
+  };
+  sessionStorage.setItem(SESSION_USAGE_STORAGE_KEY, JSON.stringify(sessionUsage));
 
-### Boilerplate Mandate
-- Do NOT output any import statements - FlutterFlow manages all imports automatically
-- Do NOT include comments like "// Automatic FlutterFlow imports" or "// Do not edit above"
-- Code will be pasted BELOW FlutterFlow's auto-generated import section
-- Class/function name MUST match the "artifactName" from the specification EXACTLY (case-sensitive)
+  return { ...usage, cost };
+}
 
-### External Dependencies
-- Only use packages explicitly listed in the specification's "dependencies" section
-- For Custom Functions: NO external packages whatsoever - this is enforced by FlutterFlow
-- All packages must be FlutterFlow-compatible and available on pub.dev
-- Allowed Dart SDK imports: dart:math, dart:convert, dart:async, dart:collection, dart:ui
-- Remember: user must manually add dependencies in FlutterFlow's Project Dependencies
+function sumUsage(entries) {
+  return entries.reduce(
+    (total, entry) => ({
+      inputTokens: total.inputTokens + entry.inputTokens,
+      outputTokens: total.outputTokens + entry.outputTokens,
+      cost: total.cost + entry.cost,
+    }),
+    { inputTokens: 0, outputTokens: 0, cost: 0 }
+  );
+}
 
-### Widget Structure Rules
-- Prefer StatelessWidget when no internal state is needed
-- Use StatefulWidget ONLY for: AnimationController, gesture tracking, local transient UI state
-- State class naming convention: \`_ArtifactNameState\` (private, with underscore prefix)
-- Use \`with SingleTickerProviderStateMixin\` or \`TickerProviderStateMixin\` for animations
+function formatTokens(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
 
-### Layout Safety (Custom Widgets)
-- Must render correctly when width and height are null
-- Must NOT cause overflow errors - use Flexible, Expanded, or constrained containers
-- Clamp values to prevent negative sizes: \`size.clamp(0.0, maxSize)\`
-- For CustomPainter, handle edge cases where size is zero
+function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
 
-### Animation Best Practices
-- Initialize AnimationController in initState(), not in build()
-- Always set vsync: this (requires TickerProviderStateMixin)
-- Use didUpdateWidget() to respond to parameter changes from FlutterFlow
-- Prefer Curves.easeInOut or physics-based curves for natural motion
-- Duration should be reasonable (150-500ms for UI, up to 1200ms for dramatic effects)
+// Returns false when the budget blocks the run (or the user backs out)
+function checkBudgetBeforeRun() {
+  const { limit, mode } = getBudgetSettings();
+  if (!limit || sessionUsage.cost < limit) return true;
 
-### Inversion of Control Pattern
-- Do NOT navigate inside custom widgets
-- Do NOT write to Firestore/databases inside widgets
-- Do NOT embed authentication logic in UI components
-- Instead: expose Action Parameters (callbacks) so the widget triggers FlutterFlow Action Flows
+  const spent = `${formatCost(sessionUsage.cost)} of your ${formatCost(limit)} session budget`;
+  if (mode === "block") {
+    alert(`⚠️ Budget reached: you've spent ${spent}.\n\nRaise the limit under Usage & Cost to keep running.`);
+    return false;
+  }
+  return confirm(`⚠️ You've spent ${spent}.\n\nRun anyway?`);
+}
 
----
+function renderUsageSummary() {
+  const container = document.getElementById("usage-summary");
+  if (!container) return;
 
-## OUTPUT FORMAT
+  const stageRows = Object.values(PIPELINE_STAGES)
+    .filter(({ step }) => pipelineState.usage[step]?.length)
+    .map(({ step, label }) => {
+      const total = sumUsage(pipelineState.usage[step]);
+      return `<tr>
+        <td class="py-0.5">${label}</td>
+        <td class="py-0.5 text-right">${formatTokens(total.inputTokens)} / ${formatTokens(total.outputTokens)}</td>
+        <td class="py-0.5 text-right">${formatCost(total.cost)}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const runTotal = sumUsage(Object.values(pipelineState.usage).flat());
+  const { limit } = getBudgetSettings();
+  const overBudget = limit && sessionUsage.cost >= limit;
+
+  container.innerHTML = `
+    <table class="w-full text-xs text-gray-600">
+      <thead>
+        <tr class="text-gray-400">
+          <th class="text-left font-normal">This run</th>
+          <th class="text-right font-normal">In / out</th>
+          <th class="text-right font-normal">Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${stageRows || '<tr><td colspan="3" class="py-0.5 text-gray-400">No usage yet</td></tr>'}
+        <tr class="font-medium text-gray-900 border-t border-gray-200">
+          <td class="pt-1">Run total</td>
+          <td class="pt-1 text-right">${formatTokens(runTotal.inputTokens)} / ${formatTokens(runTotal.outputTokens)}</td>
+          <td class="pt-1 text-right">${formatCost(runTotal.cost)}</td>
+        </tr>
+      </tbody>
+    </table>
+    <div class="mt-2 text-xs ${overBudget ? "text-red-600 font-medium" : "text-gray-600"}">
+      Session: ${formatCost(sessionUsage.cost)} over ${sessionUsage.calls} call${sessionUsage.calls === 1 ? "" : "s"}${limit ? ` · budget ${formatCost(limit)}` : ""}
+    </div>
+  `;
+}
 
-Output ONLY the complete Dart code. Nothing else.
-- No markdown code fences (\`\`\`)
-- No "Here's the code:" or similar preamble
-- No explanatory comments outside the code
-- No trailing explanation
-- Just raw, valid Dart code that compiles
+function renderPriceTable() {
+  const container = document.getElementById("price-table");
+  if (!container) return;
 
-The code should paste directly into FlutterFlow's custom code editor and compile without modification.`;
+  container.innerHTML = Object.entries(MODEL_CATALOG)
+    .map(
+      ([key, model]) => `
+      <div class="grid grid-cols-3 gap-2 items-center">
+        <span class="text-xs text-gray-600 truncate" title="${escapeHtml(model.label)}">${escapeHtml(model.label)}</span>
+        <input type="number" class="option-input" min="0" step="0.01" value="${modelPrices[key].input}"
+          onchange="updateModelPrice('${key}', 'input', this.value)" aria-label="${escapeHtml(model.label)} input price" />
+        <input type="number" class="option-input" min="0" step="0.01" value="${modelPrices[key].output}"
+          onchange="updateModelPrice('${key}', 'output', this.value)" aria-label="${escapeHtml(model.label)} output price" />
+      </div>`
+    )
+    .join("");
+}
 
-  // Base system instruction derived from shared template
-  const baseSystemInstruction = `${FF_SHARED_CONSTRAINTS}
+function initializeUsagePanel() {
+  const { limit, mode } = getBudgetSettings();
+  document.getElementById("budget-limit").value = limit ?? "";
+  document.getElementById("budget-mode").value = mode;
+  renderPriceTable();
+  renderUsageSummary();
+}
 
----
+// --- CORE API FUNCTIONS ---
 
-${codeGeneratorSpecificInstructions}`;
+async function checkConnection() {
+  // Initialize API keys from storage/env
+  await initializeApiKeys();
 
-  // Model-specific instruction adjustments
-  const getModelSpecificInstruction = (baseInstruction, model) => {
-    const modelTweaks = {
-      "claude-4.5-opus": `
-ADDITIONAL GUIDANCE FOR THIS MODEL:
-- Be extremely precise with Dart syntax
-- Prefer explicit type annotations over inference
-- Use comprehensive null checks`,
+  const missing = getStagesMissingKeys(1, 3);
+  if (missing.length > 0) {
+    console.warn(
+      `No API key for: ${missing.map((entry) => entry.label).join(", ")}. Configure via API Keys settings or a server key on the proxy`
+    );
+    return false;
+  }
+  return true;
+}
 
-      "gpt-5.1-codex-max": `
-ADDITIONAL GUIDANCE FOR THIS MODEL:  
-- Focus on code correctness over verbosity
-- Ensure all edge cases from the spec are handled
-- Double-check parameter types match exactly`,
+function renderSpecValidation({ initialErrors, errors, repaired }) {
+  if (initialErrors.length === 0) {
+    return `<div class="flex items-center gap-2 text-xs text-green-700 bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+      <span class="font-semibold uppercase tracking-wider">Spec valid</span>
+      <span>Matches the specification schema and artifact rules.</span>
+    </div>`;
+  }
 
-      "gemini-3.0-pro": `
-ADDITIONAL GUIDANCE FOR THIS MODEL:
-- Strictly follow the JSON specification structure
-- Do not add features not specified in the requirements
-- Keep the implementation focused and minimal`,
-    };
+  const list = (items) =>
+    items
+      .map(
+        (error) =>
+          `<li><code class="text-xs font-mono">${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`
+      )
+      .join("");
+
+  const status =
+    errors.length === 0
+      ? `<p class="text-sm text-green-700 mb-2">Repaired automatically - the corrected spec passes validation.</p>`
+      : `<p class="text-sm text-amber-700 mb-2">${repaired ? "Still invalid after one repair attempt" : "Invalid spec"} - continuing with ${errors.length} remaining issue${errors.length === 1 ? "" : "s"}:</p>
+        <ul class="list-disc pl-5 text-sm text-amber-800 space-y-1 mb-2">${list(errors)}</ul>`;
+
+  return `<div class="bg-amber-50 border border-amber-200 rounded-lg p-4">
+    <h4 class="text-amber-700 font-bold text-xs uppercase mb-2">Spec Validation</h4>
+    ${status}
+    <details class="text-xs text-gray-600">
+      <summary class="cursor-pointer">Original validation errors (${initialErrors.length})</summary>
+      <ul class="list-disc pl-5 mt-2 space-y-1">${list(initialErrors)}</ul>
+    </details>
+  </div>`;
+}
 
-    const tweak = modelTweaks[model] || modelTweaks["gemini-3.0-pro"];
-    return baseInstruction + "\n\n---\n" + tweak;
+function renderLintFindings(findings) {
+  const severityStyles = {
+    critical: "bg-red-100 text-red-700",
+    severe: "bg-amber-100 text-amber-700",
+    warning: "bg-yellow-100 text-yellow-700",
   };
 
-  const systemInstruction = getModelSpecificInstruction(
-    baseSystemInstruction,
-    selectedModel
-  );
+  const counts = findings.reduce((acc, finding) => {
+    acc[finding.severity] = (acc[finding.severity] || 0) + 1;
+    return acc;
+  }, {});
+
+  const summary =
+    findings.length === 0
+      ? `<span class="text-green-600 font-semibold">No forbidden patterns found</span>`
+      : Object.entries(counts)
+          .map(
+            ([severity, count]) =>
+              `<span class="px-2 py-0.5 rounded ${severityStyles[severity]}">${count} ${severity}</span>`
+          )
+          .join(" ");
+
+  const items = findings
+    .map(
+      (finding) => `<div class="flex items-start gap-3 py-2 border-b border-gray-100 last:border-0">
+        <span class="text-xs font-mono text-gray-500 whitespace-nowrap mt-0.5">L${finding.line}:${finding.column}</span>
+        <span class="text-xs font-semibold uppercase px-1.5 py-0.5 rounded ${severityStyles[finding.severity]}">${finding.severity}</span>
+        <span class="text-sm text-gray-700 flex-1">${processInlineFormatting(finding.message)}</span>
+        <span class="text-xs font-mono text-gray-400">${finding.ruleId}</span>
+      </div>`
+    )
+    .join("");
+
+  return `
+    <div class="bg-white border border-gray-200 rounded-xl p-6 shadow-sm mb-4">
+      <div class="flex items-center justify-between gap-2 mb-3 pb-3 border-b border-gray-100">
+        <span class="text-xs font-bold text-gray-600 uppercase tracking-wider">Static Lint (offline)</span>
+        <div class="flex gap-1 text-xs">${summary}</div>
+      </div>
+      ${items}
+    </div>
+  `;
+}
 
-  // Format the master prompt to clearly present the JSON spec
-  const formattedPrompt = `Generate FlutterFlow-compatible Dart code based on this specification:
+// --- PACKAGE CATALOG ---
+// Offline catalog of pub.dev packages known to work in FlutterFlow: version
+// ranges, native configuration and conflicts with the packages FlutterFlow
+// pins itself. Ships as public/package-catalog.json; a newer catalog can be
+// imported and is kept in localStorage until reset.
 
-${masterPrompt}
+const PACKAGE_CATALOG_URL = "/package-catalog.json";
+const PACKAGE_CATALOG_STORAGE_KEY = "ccc_package_catalog";
 
-Remember: Output ONLY the raw Dart code. No markdown, no explanations.`;
+let packageCatalog = null;
+let bundledPackageCatalog = null;
 
+function getStoredPackageCatalog() {
   try {
-    switch (selectedModel) {
-      case "claude-4.5-opus":
-        result = await callClaude(formattedPrompt, systemInstruction);
-        break;
-      case "gpt-5.1-codex-max":
-        result = await callOpenAI(formattedPrompt, systemInstruction);
-        break;
-      case "gemini-3.0-pro":
-      default:
-        result = await callGemini(
-          formattedPrompt,
-          systemInstruction,
-          "gemini-3.0-pro-preview"
-        );
-        break;
-    }
-    return result;
+    const stored = JSON.parse(localStorage.getItem(PACKAGE_CATALOG_STORAGE_KEY));
+    return isPackageCatalog(stored) ? stored : null;
+  } catch (error) {
+    console.warn("Ignoring unreadable package catalog:", error);
+    return null;
+  }
+}
+
+// Use the imported catalog unless the bundled one is newer
+async function loadPackageCatalog() {
+  try {
+    const response = await fetch(PACKAGE_CATALOG_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bundled = await response.json();
+    if (isPackageCatalog(bundled)) bundledPackageCatalog = bundled;
   } catch (error) {
-    console.error("Code Generator failed:", error);
+    console.warn("Bundled package catalog unavailable:", error);
+  }
 
-    // If selected model failed due to API key issues, fallback to Gemini
-    if (
-      error.message.includes("authentication") ||
-      error.message.includes("401")
-    ) {
-      console.log(
-        "Selected model failed due to API key issues, falling back to Gemini 3.0 Pro..."
-      );
-      try {
-        const fallbackInstruction = getModelSpecificInstruction(
-          baseSystemInstruction,
-          "gemini-3.0-pro"
-        );
-        result = await callGemini(
-          formattedPrompt,
-          fallbackInstruction,
-          "gemini-3.0-pro-preview"
-        );
-        return result;
-      } catch (fallbackError) {
-        console.error("Gemini fallback also failed:", fallbackError);
-        throw new Error(
-          `All models failed. Original error: ${error.message}. Fallback error: ${fallbackError.message}`
-        );
-      }
+  const stored = getStoredPackageCatalog();
+  packageCatalog =
+    stored && (!bundledPackageCatalog || stored.updatedAt >= bundledPackageCatalog.updatedAt)
+      ? stored
+      : bundledPackageCatalog;
+  renderPackageCatalogInfo();
+}
+
+async function importPackageCatalog(file) {
+  try {
+    const catalog = JSON.parse(await file.text());
+    if (!isPackageCatalog(catalog)) {
+      throw new Error("expected { updatedAt, flutterFlowPinned, packages }");
     }
+    localStorage.setItem(PACKAGE_CATALOG_STORAGE_KEY, JSON.stringify(catalog));
+    packageCatalog = catalog;
+  } catch (error) {
+    alert(`Could not import the package catalog: ${error.message}`);
+  }
+  renderPackageCatalogInfo();
+}
+
+function resetPackageCatalog() {
+  localStorage.removeItem(PACKAGE_CATALOG_STORAGE_KEY);
+  packageCatalog = bundledPackageCatalog;
+  renderPackageCatalogInfo();
+}
+
+function renderPackageCatalogInfo() {
+  const container = document.getElementById("package-catalog-info");
+  if (!container) return;
 
-    throw error;
+  if (!packageCatalog) {
+    container.textContent = "Package catalog not loaded - dependency checks are off.";
+    return;
   }
+  const count = Object.keys(packageCatalog.packages).length;
+  const source = packageCatalog === bundledPackageCatalog ? "bundled" : "imported";
+  container.textContent = `Package catalog: ${count} packages, updated ${packageCatalog.updatedAt} (${source})`;
 }
 
-async function runCodeDissector(code) {
-  // Code Dissector specific instructions that extend the shared template
-  const dissectorSpecificInstructions = `## YOUR ROLE
+function initializePackageCatalog() {
+  const input = document.getElementById("package-catalog-input");
+  input?.addEventListener("change", () => {
+    const file = input.files[0];
+    input.value = "";
+    if (file) importPackageCatalog(file);
+  });
+  return loadPackageCatalog();
+}
 
-You are an expert FlutterFlow Code Auditor. Your job is to ruthlessly analyze Dart code for compatibility with FlutterFlow's constrained custom code environment.
+function renderPackageFindings(findings, checked) {
+  if (!packageCatalog || checked === 0) return "";
+
+  const summary =
+    findings.length === 0
+      ? `<span class="text-green-600 font-semibold">${checked} package${checked === 1 ? "" : "s"} OK</span>`
+      : `<span class="text-amber-700 font-semibold">${findings.length} issue${findings.length === 1 ? "" : "s"}</span>`;
+
+  const items = findings
+    .map(
+      (finding) => `<div class="flex items-start gap-3 py-2 border-b border-gray-100 last:border-0">
+        <code class="text-xs font-mono text-gray-700 whitespace-nowrap mt-0.5">${escapeHtml(finding.package)}</code>
+        <span class="text-xs font-semibold uppercase px-1.5 py-0.5 rounded ${AUDIT_SEVERITY_STYLES[finding.severity]}">${finding.severity}</span>
+        <span class="text-sm text-gray-700 flex-1">${processInlineFormatting(finding.message)}</span>
+        <span class="text-xs font-mono text-gray-400">${finding.ruleId}</span>
+      </div>`
+    )
+    .join("");
+
+  return `
+    <div class="bg-white border border-gray-200 rounded-xl p-4 shadow-sm mb-4">
+      <div class="flex items-center justify-between gap-2 ${items ? "mb-2 pb-2 border-b border-gray-100" : ""}">
+        <span class="text-xs font-bold text-gray-600 uppercase tracking-wider">Dependencies (catalog ${escapeHtml(packageCatalog.updatedAt)})</span>
+        <div class="text-xs">${summary}</div>
+      </div>
+      ${items}
+    </div>
+  `;
+}
 
-You understand the "Parser Gap" - FlutterFlow's parser is stricter than Dart itself, and valid Dart can still fail in FlutterFlow.
+// Re-run the catalog checks for a stage panel from the current pipeline state
+function renderPackageChecks(step) {
+  const container = document.getElementById(`step${step}-packages`);
+  if (!container) return;
 
----
+  const spec = pipelineState.step1Spec;
+  const packages = Array.isArray(spec?.dependencies?.packages)
+    ? spec.dependencies.packages.length
+    : 0;
 
-## AUDIT CHECKLIST
+  if (step === 1) {
+    container.innerHTML = spec
+      ? renderPackageFindings(checkSpecPackages(spec, packageCatalog), packages)
+      : "";
+    return;
+  }
 
-### CRITICAL FAILURES (Score: 0 - Will not compile)
-Check for and flag:
-1. \`void main()\` or \`main()\` function - TOXIC, must be removed
-2. \`runApp()\` call - TOXIC, must be removed
-3. \`MaterialApp\` widget - TOXIC, this is harness code
-4. \`CupertinoApp\` or \`WidgetsApp\` - TOXIC
-5. \`Scaffold\` widget (unless spec explicitly requires it) - Usually TOXIC
-6. ANY \`import\` statements - FlutterFlow manages these
-7. Custom Dart classes for data (e.g., \`class User {}\`) - Should use FF Structs
-8. Missing \`width\`/\`height\` parameters for Custom Widgets
-9. Generics, extensions, or function-typed params in Code Files (Parser Gap)
+  const code = pipelineState.auditedCode;
+  if (!code) {
+    container.innerHTML = "";
+    return;
+  }
+  const checked = new Set([
+    ...(spec?.dependencies?.packages || []).map((entry) => parseDependencyEntry(entry)?.name),
+    ...getCodePackageImports(code),
+  ]);
+  checked.delete(undefined);
+  container.innerHTML = renderPackageFindings(
+    checkCodePackages(code, spec, packageCatalog),
+    checked.size
+  );
+}
 
-### SEVERE WARNINGS (Score: -20 each)
-10. External package usage without noting user must add to FF Dependencies
-11. Unsafe \`!\` operator usage without null check
-12. Direct \`FFAppState()\` access without using \`FFAppState().update()\` for writes
-13. Hardcoded \`Colors.*\` instead of \`FlutterFlowTheme.of(context).*\`
-14. Wrong callback signature (should be \`Future<dynamic> Function()?\`)
-15. Missing \`dispose()\` for AnimationController, StreamSubscription, etc.
-16. Navigation or database writes embedded inside widget (should use Action callbacks)
-17. \`ValueChanged<T>\` instead of FF-compatible callback signature
+const AUDIT_SEVERITY_STYLES = {
+  critical: "bg-red-100 text-red-700",
+  severe: "bg-amber-100 text-amber-700",
+  warning: "bg-yellow-100 text-yellow-700",
+  unclassified: "bg-gray-100 text-gray-600",
+  good: "bg-green-100 text-green-700",
+};
 
-### WARNINGS (Score: -10 each)
-18. Deprecated Flutter APIs (e.g., \`WillPopScope\` instead of \`PopScope\`)
-19. Potential package hallucinations (non-existent or outdated package APIs)
-20. No null handling for nullable parameters
-21. No \`LayoutBuilder\` for size-dependent widget rendering
-22. Potential overflow situations (unbounded sizes)
-23. Using \`setState\` in Custom Action (should only be in Widgets)
-24. Name mismatch risk (class/function name might not match FF UI expectation)
+function formatFindingImpact(severity) {
+  if (severity === "critical") return "score → 0";
+  if (severity === "unclassified") return "not scored";
+  return `${severity === "good" ? "+" : ""}${AUDIT_SCORE_IMPACT[severity]}`;
+}
 
-### GOOD PRACTICES (Score: +5 each)
-- Uses \`FlutterFlowTheme.of(context)\` for colors
-- Proper null safety with \`??\` and \`?.\` operators  
-- Uses FF Struct types (e.g., \`SomeNameStruct\`)
-- Proper \`dispose()\` implementation
-- Uses \`LayoutBuilder\` for safe sizing
-- Correct callback signature for FF Actions
-- Uses \`FFAppState().update()\` for reactive state writes
-- Follows inversion-of-control pattern (callbacks for actions)
+function renderAuditFindings(report) {
+  const order = (finding) => AUDIT_SEVERITIES.indexOf(finding.severity);
+  const findings = [...report.findings].sort(
+    (a, b) => order(a) - order(b) || (a.lineStart || 0) - (b.lineStart || 0)
+  );
 
----
+  const items = findings
+    .map((finding) => {
+      const location = finding.lineStart
+        ? `<button class="text-xs font-mono text-blue-600 hover:underline whitespace-nowrap mt-0.5" onclick="showCodeLine(${finding.lineStart})">L${finding.lineStart}${finding.lineEnd > finding.lineStart ? `–${finding.lineEnd}` : ""}</button>`
+        : `<span class="text-xs font-mono text-gray-400 whitespace-nowrap mt-0.5">file</span>`;
+      const suggestion = finding.suggestion
+        ? `<pre class="mt-2 text-xs font-mono bg-gray-900 text-gray-100 rounded-lg p-3 overflow-x-auto"><code>${highlightCode(finding.suggestion)}</code></pre>`
+        : "";
+      return `<div class="flex items-start gap-3 py-3 border-b border-gray-100 last:border-0">
+        ${location}
+        <span class="text-xs font-semibold uppercase px-1.5 py-0.5 rounded ${AUDIT_SEVERITY_STYLES[finding.severity]}">${finding.severity}</span>
+        <div class="flex-1 min-w-0">
+          <div class="text-sm text-gray-700">${processInlineFormatting(finding.message)}</div>
+          ${suggestion}
+        </div>
+        <span class="text-xs font-mono text-gray-400 whitespace-nowrap">${escapeHtml(finding.ruleId)} · ${formatFindingImpact(finding.severity)}</span>
+      </div>`;
+    })
+    .join("");
 
-## OUTPUT FORMAT
+  const breakdown = computeAuditScore(report);
+  const scoreColor =
+    breakdown.score >= 80
+      ? "text-green-600"
+      : breakdown.score >= 50
+        ? "text-amber-600"
+        : "text-red-600";
 
-Return your audit in this exact markdown format:
+  return `
+    <div class="bg-white border border-gray-200 rounded-xl p-6 shadow-sm">
+      <div class="flex items-start justify-between gap-2 mb-3 pb-3 border-b border-gray-100">
+        <div>
+          <span class="text-xs font-bold text-gray-600 uppercase tracking-wider">Audit Findings</span>
+          <div class="text-xs text-gray-500 mt-1">${formatScoreBreakdown(breakdown)}</div>
+        </div>
+        <div class="text-right">
+          <div class="text-2xl font-bold ${scoreColor}">${breakdown.score}<span class="text-sm text-gray-400">/100</span></div>
+          <div class="text-xs text-gray-400">Model reported: ${report.overallScore ?? "?"}/100</div>
+        </div>
+      </div>
+      ${report.summary ? `<p class="text-sm text-gray-700 mb-3">${processInlineFormatting(report.summary)}</p>` : ""}
+      ${items || `<p class="text-sm text-green-600 font-semibold">No findings</p>`}
+    </div>
+  `;
+}
 
-## Overall Score: [0-100]/100
-[One sentence summary of code quality for FF integration]
+// Step 3 panel: findings list or markdown report of the same audit
+function renderAuditPanel(raw, report) {
+  if (!report) return renderMarkdownAudit(raw || "");
 
-## Critical Issues
-[List each critical failure with line reference if possible]
-[For each: explain WHY it fails in FlutterFlow and HOW to fix it]
+  const tab = (view, label) =>
+    `<button class="stage-action ${pipelineState.auditView === view ? "primary" : ""}" onclick="setAuditView('${view}')">${label}</button>`;
 
-## Warnings
-[List each warning with severity]
-[Include specific code snippets that need changing]
+  return `
+    <div class="flex items-center gap-2 mb-3">
+      ${tab("findings", "Findings")}
+      ${tab("report", "Report")}
+    </div>
+    ${pipelineState.auditView === "report" ? renderMarkdownAudit(auditReportToMarkdown(report)) : renderAuditFindings(report)}
+  `;
+}
 
-## Required User Actions in FlutterFlow
-[List what the user MUST do in the FlutterFlow UI before this code will work:]
-- Dependencies to add (with exact versions if packages are used)
-- Data Types/Structs to create (with field names and types)
-- Parameters to define in the Custom Code UI (with nullability and isList flags)
-- Any Configuration Files to edit (AndroidManifest, Info.plist)
+function setAuditView(view) {
+  pipelineState.auditView = view;
+  const iteration = pipelineState.repairIterations[pipelineState.selectedIteration];
+  const showingIteration = iteration && pipelineState.repairIterations.length > 1;
+  document.getElementById("step3-output").innerHTML = showingIteration
+    ? renderAuditPanel(iteration.audit, iteration.report)
+    : renderAuditPanel(pipelineState.step3Result, pipelineState.auditReport);
+}
 
-## Code Transformation Needed
-[Show before/after for any code that needs changing]
-Example:
-\`\`\`
-// BEFORE (AI-generated)
-final ValueChanged<double> onChanged;
-// AFTER (FlutterFlow compatible)  
-final Future<dynamic> Function()? onValueChanged;
-\`\`\`
+// Gutter annotations for the step 2 code view: audit findings plus static
+// lint findings, keyed by line number
+function getCodeAnnotations(code, report, lintFindings = []) {
+  // Stored reports may cite lines the code doesn't have
+  const lineCount = code.split("\n").length;
+  const annotations = new Map();
+  const add = (line, annotation) => {
+    if (!annotations.has(line)) annotations.set(line, []);
+    annotations.get(line).push(annotation);
+  };
 
-## Recommendations
-[Prioritized list of fixes, most critical first]
+  for (const finding of report?.findings || []) {
+    if (!finding.lineStart || finding.severity === "good") continue;
+    const lineEnd = Math.min(finding.lineEnd, lineCount);
+    for (let line = finding.lineStart; line <= lineEnd; line++) {
+      add(line, { ...finding, source: "audit" });
+    }
+  }
+  for (const finding of lintFindings) {
+    add(finding.line, { ...finding, source: "lint" });
+  }
+  return annotations;
+}
 
----
+// Split highlight.js output into per-line HTML, closing and reopening spans
+// that cross line breaks so every line is well-formed on its own
+function splitHighlightedLines(html) {
+  const lines = [];
+  const openTags = [];
+  let current = "";
+
+  for (const token of html.split(/(<span[^>]*>|<\/span>|\n)/)) {
+    if (token === "\n") {
+      lines.push(current + "</span>".repeat(openTags.length));
+      current = openTags.join("");
+    } else if (token.startsWith("<span")) {
+      openTags.push(token);
+      current += token;
+    } else if (token === "</span>") {
+      openTags.pop();
+      current += token;
+    } else {
+      current += token;
+    }
+  }
+  lines.push(current);
+  return lines;
+}
 
-${FF_TROUBLESHOOTING_CHECKLIST}
+// Highlighted code with line numbers and finding markers in the gutter
+function renderAnnotatedCode(code, annotations) {
+  const lines = splitHighlightedLines(highlightCode(code));
 
----
+  return lines
+    .map((lineHtml, index) => {
+      const line = index + 1;
+      const notes = annotations.get(line) || [];
+      if (notes.length === 0) {
+        return `<span class="code-line" data-line="${line}"><span class="code-gutter">${line}</span><span class="code-text">${lineHtml || " "}</span></span>`;
+      }
 
-Be ruthless. FlutterFlow is unforgiving - if the code has ANY critical issue, it will not compile. Your job is to catch everything before the user wastes time debugging in FlutterFlow.`;
+      const worst = notes
+        .map((note) => note.severity)
+        .sort((a, b) => AUDIT_SEVERITIES.indexOf(a) - AUDIT_SEVERITIES.indexOf(b))[0];
+      const tooltip = notes
+        .map(
+          (note) =>
+            `<span class="finding-tooltip-item"><strong>${note.severity.toUpperCase()}</strong> ${escapeHtml(note.ruleId)}${note.source === "lint" ? " (lint)" : ""}<br>${escapeHtml(note.message)}${note.suggestion ? `<span class="finding-suggestion">${escapeHtml(note.suggestion)}</span>` : ""}</span>`
+        )
+        .join("");
+
+      return `<span class="code-line has-finding severity-${worst}" data-line="${line}"><span class="code-gutter"><span class="finding-marker"></span>${line}</span><span class="code-text">${lineHtml || " "}</span><span class="finding-tooltip">${tooltip}</span></span>`;
+    })
+    .join("");
+}
 
-  const systemInstruction = `${FF_SHARED_CONSTRAINTS}
+// Render step 2's code; with annotations it gets a gutter and markers
+function renderGeneratedCode(code, annotations) {
+  const step2Output = document.getElementById("step2-output");
+  step2Output.dataset.raw = code; // Store raw for copy
 
----
+  if (code && annotations) {
+    step2Output.classList.add("annotated");
+    step2Output.innerHTML = renderAnnotatedCode(code, annotations);
+  } else {
+    step2Output.classList.remove("annotated");
+    step2Output.innerHTML = highlightCode(code);
+  }
+}
 
-${dissectorSpecificInstructions}`;
+// Annotations for the current step 2 code, if the current audit is of it
+function getCurrentCodeAnnotations(code) {
+  if (!code || pipelineState.auditedCode !== code) return null;
+  return getCodeAnnotations(code, pipelineState.auditReport, pipelineState.lintFindings);
+}
 
-  const prompt = `Perform a comprehensive FlutterFlow integration audit on this Dart code:
+// Jump from a finding to its line in the step 2 code view
+function showCodeLine(line) {
+  selectWorkflowStep(2);
+  const target = document.querySelector(`#step2-output .code-line[data-line="${line}"]`);
+  if (!target) return;
+  target.scrollIntoView({ block: "center" });
+  target.classList.add("flash");
+  setTimeout(() => target.classList.remove("flash"), 1200);
+}
 
-\`\`\`dart
-${code}
-\`\`\`
+// --- RULE PACKS ---
+// The FlutterFlow rules in the agents' prompts come from a rule pack: the
+// built-in defaults plus an optional team layer kept in localStorage. The
+// rules modal edits the team layer; runs record the pack version they used.
 
-Check against ALL FlutterFlow constraints. Be thorough and specific.`;
+const RULE_OVERRIDES_STORAGE_KEY = "ccc_rule_overrides";
 
+function loadRuleOverrides() {
   try {
-    const result = await callGemini(
-      prompt,
-      systemInstruction,
-      CODE_DISSECTOR_MODEL
-    );
-    return result;
+    const stored = JSON.parse(localStorage.getItem(RULE_OVERRIDES_STORAGE_KEY));
+    return stored ? parseRuleOverrides(stored) : null;
   } catch (error) {
-    console.error("Code Dissector failed:", error);
-    throw error;
+    console.warn("Ignoring unreadable rule overrides:", error);
+    return null;
   }
 }
 
-// --- MARKDOWN RENDERING ---
+let ruleOverrides = loadRuleOverrides();
+let activeRulePack = resolveRulePack(ruleOverrides);
+let ruleDraft = null; // Team layer being edited in the rules modal
 
-function renderMarkdownAudit(markdown) {
-  // Parse markdown and convert to rich HTML
-  let html = `<div class="audit-report space-y-4">`;
+function setRuleOverrides(overrides) {
+  ruleOverrides = overrides;
+  if (overrides) {
+    localStorage.setItem(RULE_OVERRIDES_STORAGE_KEY, JSON.stringify(overrides));
+  } else {
+    localStorage.removeItem(RULE_OVERRIDES_STORAGE_KEY);
+  }
+  activeRulePack = resolveRulePack(overrides);
+  renderRulePackInfo();
+}
+
+function renderRulePackInfo() {
+  const container = document.getElementById("rule-pack-info");
+  if (!container) return;
+  container.textContent = formatRulePackVersion(describeRulePack(activeRulePack));
+}
 
-  // Split by lines and process
-  const lines = markdown.split("\n");
-  let currentSection = "";
-  let inCodeBlock = false;
-  let codeBlockContent = "";
+function loadRuleDraft() {
+  ruleDraft = {
+    name: ruleOverrides?.name || "Team rules",
+    version: ruleOverrides?.version || "1",
+    sections: activeRulePack.sections.map((section) => ({ ...section })),
+  };
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+function openRulesModal() {
+  loadRuleDraft();
+  renderRulesModal();
+  document.getElementById("rules-modal").classList.add("open");
+}
 
-    // Handle code blocks
-    if (line.startsWith("```")) {
-      if (inCodeBlock) {
-        const language = detectLanguage(codeBlockContent);
-        const highlightedCode = highlightCode(
-          codeBlockContent.trim(),
-          language
-        );
-        html += `<div class="bg-gray-900 rounded-lg p-3 border border-gray-200">
-          <pre class="text-xs font-mono overflow-x-auto text-gray-100"><code class="language-${language}">${highlightedCode}</code></pre>
-        </div>`;
-        codeBlockContent = "";
-        inCodeBlock = false;
-      } else {
-        inCodeBlock = true;
-      }
-      continue;
-    }
+function closeRulesModal(event) {
+  if (event && event.target !== event.currentTarget) return;
+  document.getElementById("rules-modal").classList.remove("open");
+  ruleDraft = null;
+}
 
-    if (inCodeBlock) {
-      codeBlockContent += line + "\n";
-      continue;
-    }
+function renderRulesModal() {
+  document.getElementById("rules-team-name").value = ruleDraft.name;
+  document.getElementById("rules-team-version").value = ruleDraft.version;
+  document.getElementById("rules-base-info").textContent =
+    `${DEFAULT_RULE_PACK.name} ${DEFAULT_RULE_PACK.version}`;
 
-    // Handle headers
-    if (line.startsWith("# ")) {
-      const title = line.substring(2).trim();
-      const icon = getSectionIcon(title);
-      html += `<div class="audit-header mb-4">
-        <h2 class="text-xl font-bold text-gray-900 flex items-center gap-2">
-          <span>${icon}</span>
-          <span>${title}</span>
-        </h2>
-      </div>`;
-      continue;
-    }
+  const badges = {
+    default: '<span class="rule-badge">Default</span>',
+    override: '<span class="rule-badge changed">Changed</span>',
+    team: '<span class="rule-badge team">Team</span>',
+  };
 
-    if (line.startsWith("## ")) {
-      const title = line.substring(3).trim();
-      const icon = getSubsectionIcon(title);
-      html += `<div class="audit-subsection mb-3 mt-4">
-        <h3 class="text-lg font-semibold text-gray-800 flex items-center gap-2">
-          <span>${icon}</span>
-          <span>${title}</span>
-        </h3>
-      </div>`;
-      continue;
-    }
+  document.getElementById("rules-sections").innerHTML = ruleDraft.sections
+    .map((section, index) => {
+      const titleInput =
+        section.source === "team"
+          ? `<input type="text" class="option-input w-full mb-2" value="${escapeHtml(section.title)}" oninput="updateRuleDraft(${index}, 'title', this.value)" aria-label="Section title" />`
+          : "";
+      const action =
+        section.source === "team"
+          ? `<button class="stage-action" onclick="removeRuleSection(${index})">Remove</button>`
+          : section.source === "override"
+            ? `<button class="stage-action" onclick="resetRuleSection(${index})">Reset to default</button>`
+            : "";
+
+      return `<details class="rule-section ${section.enabled ? "" : "disabled"}">
+        <summary class="flex items-center gap-2">
+          <input type="checkbox" class="rounded" ${section.enabled ? "checked" : ""} onclick="event.stopPropagation()" onchange="toggleRuleSection(${index}, this)" aria-label="Use ${escapeHtml(section.title)}" />
+          <span class="text-sm font-medium text-gray-800 flex-1">${escapeHtml(section.title)}</span>
+          ${badges[section.source]}
+        </summary>
+        ${titleInput}
+        <textarea class="rule-editor code-font" spellcheck="false" oninput="updateRuleDraft(${index}, 'content', this.value)">${escapeHtml(section.content)}</textarea>
+        <div class="flex justify-end mt-2">${action}</div>
+      </details>`;
+    })
+    .join("");
+}
 
-    // Handle lists
-    if (line.match(/^[-*+]\s+/)) {
-      const item = line.replace(/^[-*+]\s+/, "").trim();
-      html += `<div class="audit-list-item flex items-start gap-2 mb-2">
-        <span class="text-blue-600 mt-1">•</span>
-        <span class="text-gray-700 text-sm">${processInlineFormatting(item)}</span>
-      </div>`;
-      continue;
-    }
+function updateRuleDraft(index, field, value) {
+  ruleDraft.sections[index][field] = value;
+}
 
-    // Handle numbered lists
-    if (line.match(/^\d+\.\s+/)) {
-      const item = line.replace(/^\d+\.\s+/, "").trim();
-      html += `<div class="audit-list-item flex items-start gap-2 mb-2">
-        <span class="text-blue-600 mt-1">•</span>
-        <span class="text-gray-700 text-sm">${processInlineFormatting(item)}</span>
-      </div>`;
-      continue;
-    }
+function toggleRuleSection(index, checkbox) {
+  ruleDraft.sections[index].enabled = checkbox.checked;
+  checkbox.closest(".rule-section").classList.toggle("disabled", !checkbox.checked);
+}
 
-    // Handle empty lines
-    if (line.trim() === "") {
-      continue;
-    }
+function resetRuleSection(index) {
+  const defaults = DEFAULT_RULE_PACK.sections.find(
+    (section) => section.id === ruleDraft.sections[index].id
+  );
+  ruleDraft.sections[index] = { ...defaults, enabled: true, source: "default" };
+  renderRulesModal();
+}
 
-    // Handle regular paragraphs
-    html += `<p class="text-gray-700 text-sm mb-2">${processInlineFormatting(line)}</p>`;
-  }
+function addRuleSection() {
+  const title = prompt("Section title (e.g. House rules):");
+  if (!title?.trim()) return;
 
-  html += `</div>`;
+  const base = title.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "team-rules";
+  let id = base;
+  for (let n = 2; ruleDraft.sections.some((section) => section.id === id); n++) id = `${base}-${n}`;
 
-  // Wrap in styled container
-  return `
-    <div class="bg-white border border-gray-200 rounded-xl p-6 shadow-sm">
-      <div class="flex items-center gap-2 mb-4 pb-4 border-b border-gray-100">
-        <div class="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
-        <span class="text-xs font-bold text-green-600 uppercase tracking-wider">Live Audit Report</span>
-      </div>
-      ${html}
-    </div>
-  `;
+  ruleDraft.sections.push({
+    id,
+    title: title.trim(),
+    content: `## ${title.trim().toUpperCase()}\n\n`,
+    enabled: true,
+    source: "team",
+  });
+  renderRulesModal();
+  document.querySelector("#rules-sections details:last-of-type")?.setAttribute("open", "");
 }
 
-function getSectionIcon(title) {
-  const icons = {
-    "Integration Audit Report": "📋",
-    "Critical Issues": "❌",
-    Warnings: "⚠️",
-    Recommendations: "✅",
-    "Overall Score": "📊",
-  };
+function removeRuleSection(index) {
+  ruleDraft.sections.splice(index, 1);
+  renderRulesModal();
+}
 
-  for (const [key, icon] of Object.entries(icons)) {
-    if (title.toLowerCase().includes(key.toLowerCase())) {
-      return icon;
-    }
-  }
-  return "📄";
+// Only what differs from the defaults goes into the team layer
+function getDraftRuleSections() {
+  return ruleDraft.sections
+    .map((section) => {
+      const defaults = DEFAULT_RULE_PACK.sections.find((entry) => entry.id === section.id);
+      if (!defaults) {
+        return { id: section.id, title: section.title, content: section.content, enabled: section.enabled };
+      }
+      const entry = { id: section.id };
+      if (section.content !== defaults.content) entry.content = section.content;
+      if (!section.enabled) entry.enabled = false;
+      return entry;
+    })
+    .filter((entry) => Object.keys(entry).length > 1);
+}
+
+function saveRules() {
+  const name = document.getElementById("rules-team-name").value.trim() || "Team rules";
+  const version = document.getElementById("rules-team-version").value.trim() || "1";
+  const sections = getDraftRuleSections();
+
+  if (sections.length === 0) {
+    setRuleOverrides(null);
+    closeRulesModal();
+    return;
+  }
+
+  let overrides;
+  try {
+    overrides = parseRuleOverrides({ format: RULE_PACK_FORMAT, name, version, sections });
+  } catch (error) {
+    alert(`Could not save the rules: ${error.message}`);
+    return;
+  }
+
+  // Changed rules get a new version unless the user set one
+  const changed =
+    JSON.stringify(overrides.sections) !== JSON.stringify(ruleOverrides?.sections || []);
+  if (ruleOverrides && changed && overrides.version === ruleOverrides.version) {
+    overrides.version = bumpRuleVersion(overrides.version);
+  }
+
+  setRuleOverrides(overrides);
+  closeRulesModal();
+}
+
+function resetAllRules() {
+  if (!confirm("Remove all team rules and go back to the defaults?")) return;
+  setRuleOverrides(null);
+  loadRuleDraft();
+  renderRulesModal();
+}
+
+async function importRulePack(file) {
+  try {
+    setRuleOverrides(parseRuleOverrides(JSON.parse(await file.text())));
+  } catch (error) {
+    alert(`Could not import the rule pack: ${error.message}`);
+    return;
+  }
+  loadRuleDraft();
+  renderRulesModal();
+}
+
+// Exports the saved team layer, ready to share or commit
+function exportRulePack() {
+  if (!ruleOverrides) {
+    alert("There are no team rules to export yet. Change a section and save first.");
+    return;
+  }
+
+  const blob = new Blob(
+    [
+      JSON.stringify(
+        { ...ruleOverrides, basedOn: `${DEFAULT_RULE_PACK.id}@${DEFAULT_RULE_PACK.version}` },
+        null,
+        2
+      ),
+    ],
+    { type: "application/json" }
+  );
+  const slug = ruleOverrides.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${slug || "team"}.rules.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function initializeRulePacks() {
+  const input = document.getElementById("rules-import-input");
+  input?.addEventListener("change", () => {
+    const file = input.files[0];
+    input.value = "";
+    if (file) importRulePack(file);
+  });
+  renderRulePackInfo();
+}
+
+// --- MARKDOWN RENDERING ---
+// Model output is untrusted: it can echo the user's prompt or be steered into
+// emitting markup, and this page holds decrypted API keys in memory. The
+// renderer escapes all text and only emits the elements in
+// MARKDOWN_ALLOWED_TAGS; sanitizeHtml() then re-checks the result against the
+// same whitelist before it reaches innerHTML.
+
+const MARKDOWN_ALLOWED_TAGS = {
+  a: ["class", "href", "title", "target", "rel"],
+  blockquote: ["class"],
+  br: [],
+  code: ["class"],
+  div: ["class"],
+  em: ["class"],
+  h2: ["class"],
+  h3: ["class"],
+  h4: ["class"],
+  hr: ["class"],
+  li: ["class"],
+  ol: ["class", "start"],
+  p: ["class"],
+  pre: ["class"],
+  span: ["class"],
+  strong: ["class"],
+  table: ["class"],
+  tbody: [],
+  td: ["class"],
+  th: ["class"],
+  thead: [],
+  tr: [],
+  ul: ["class"],
+};
+
+// Elements removed together with their content
+const MARKDOWN_DROPPED_TAGS = ["script", "style", "iframe", "object", "embed", "template"];
+
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function isSafeUrl(url) {
+  return /^(?:https?:\/\/|mailto:|#|\/(?!\/))/i.test(String(url).trim());
+}
+
+// Keep only whitelisted elements and attributes. Unknown elements are
+// replaced by their text; scripts and the like are dropped entirely.
+function sanitizeHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+function sanitizeNode(parent) {
+  for (const node of [...parent.childNodes]) {
+    if (node.nodeType === Node.TEXT_NODE) continue;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      continue;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (MARKDOWN_DROPPED_TAGS.includes(tag)) {
+      node.remove();
+      continue;
+    }
+
+    const allowed = MARKDOWN_ALLOWED_TAGS[tag];
+    if (!allowed) {
+      node.replaceWith(document.createTextNode(node.textContent));
+      continue;
+    }
+
+    for (const { name, value } of [...node.attributes]) {
+      if (!allowed.includes(name) || (name === "href" && !isSafeUrl(value))) {
+        node.removeAttribute(name);
+      }
+    }
+    if (tag === "a") node.setAttribute("rel", "noopener noreferrer");
+
+    sanitizeNode(node);
+  }
+}
+
+function renderMarkdownAudit(markdown) {
+  return `
+    <div class="bg-white border border-gray-200 rounded-xl p-6 shadow-sm">
+      <div class="flex items-center gap-2 mb-4 pb-4 border-b border-gray-100">
+        <div class="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+        <span class="text-xs font-bold text-green-600 uppercase tracking-wider">Live Audit Report</span>
+      </div>
+      <div class="audit-report space-y-4">${sanitizeHtml(renderMarkdown(markdown))}</div>
+    </div>
+  `;
+}
+
+function renderMarkdown(markdown) {
+  const lines = String(markdown).replace(/\r\n?/g, "\n").split("\n");
+  let html = "";
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    // Fenced code block (flushed even if unclosed, e.g. mid-stream)
+    if (/^\s*```/.test(line)) {
+      const content = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) content.push(lines[i++]);
+      i++;
+      html += renderMarkdownCodeBlock(content.join("\n"));
+      continue;
+    }
+
+    if (line.trim() === "") {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      html += renderMarkdownHeading(heading[1].length, heading[2].trim());
+      i++;
+      continue;
+    }
+
+    if (/^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+      html += `<hr class="my-4 border-gray-200" />`;
+      i++;
+      continue;
+    }
+
+    if (line.includes("|") && TABLE_SEPARATOR_PATTERN.test(lines[i + 1] || "")) {
+      const rows = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim()) {
+        rows.push(lines[i++]);
+      }
+      html += renderMarkdownTable(rows);
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const items = [];
+      while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM_PATTERN);
+        if (match) {
+          items.push({
+            indent: match[1].replace(/\t/g, "    ").length,
+            ordered: /\d/.test(match[2]),
+            start: parseInt(match[2], 10),
+            text: match[3],
+          });
+          i++;
+        } else if (items.length && /^\s{2,}\S/.test(lines[i])) {
+          // Indented continuation of the previous item
+          items[items.length - 1].text += ` ${lines[i].trim()}`;
+          i++;
+        } else if (lines[i].trim() === "" && LIST_ITEM_PATTERN.test(lines[i + 1] || "")) {
+          i++;
+        } else {
+          break;
+        }
+      }
+      html += renderMarkdownList(items);
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quote = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quote.push(lines[i++].replace(/^\s*>\s?/, ""));
+      }
+      html += `<blockquote class="border-l-4 border-gray-200 pl-3 text-sm text-gray-600 mb-2">${quote.map(processInlineFormatting).join("<br />")}</blockquote>`;
+      continue;
+    }
+
+    html += `<p class="text-gray-700 text-sm mb-2">${processInlineFormatting(line)}</p>`;
+    i++;
+  }
+
+  return html;
+}
+
+function renderMarkdownCodeBlock(code) {
+  if (!code.trim()) return "";
+  const language = detectLanguage(code);
+  return `<div class="bg-gray-900 rounded-lg p-3 border border-gray-200">
+    <pre class="text-xs font-mono overflow-x-auto text-gray-100"><code class="language-${language}">${highlightCode(code.trim(), language)}</code></pre>
+  </div>`;
+}
+
+function renderMarkdownHeading(level, title) {
+  if (level === 1) {
+    return `<div class="audit-header mb-4">
+      <h2 class="text-xl font-bold text-gray-900 flex items-center gap-2">
+        <span>${getSectionIcon(title)}</span>
+        <span>${processInlineFormatting(title)}</span>
+      </h2>
+    </div>`;
+  }
+  if (level === 2) {
+    return `<div class="audit-subsection mb-3 mt-4">
+      <h3 class="text-lg font-semibold text-gray-800 flex items-center gap-2">
+        <span>${getSubsectionIcon(title)}</span>
+        <span>${processInlineFormatting(title)}</span>
+      </h3>
+    </div>`;
+  }
+  return `<h4 class="text-sm font-semibold text-gray-800 mt-3 mb-2">${processInlineFormatting(title)}</h4>`;
+}
+
+// Items carry their indentation; deeper items open a nested list
+function renderMarkdownList(items) {
+  const open = (item, nested) => {
+    const tag = item.ordered ? "ol" : "ul";
+    const style = item.ordered ? "list-decimal" : "list-disc";
+    const start = item.ordered && item.start > 1 ? ` start="${item.start}"` : "";
+    return `<${tag} class="${style} pl-5 space-y-1 text-sm text-gray-700 ${nested ? "mt-1" : "mb-2"}"${start}>`;
+  };
+
+  let html = "";
+  const stack = [];
+  for (const item of items) {
+    const tag = item.ordered ? "ol" : "ul";
+    while (stack.length > 1 && item.indent < stack[stack.length - 1].indent) {
+      html += `</li></${stack.pop().tag}>`;
+    }
+
+    const top = stack[stack.length - 1];
+    if (!top || item.indent > top.indent) {
+      html += open(item, Boolean(top));
+      stack.push({ indent: item.indent, tag });
+    } else {
+      html += "</li>";
+      if (top.tag !== tag) {
+        html += `</${top.tag}>${open(item, stack.length > 1)}`;
+        top.tag = tag;
+      }
+    }
+    html += `<li>${processInlineFormatting(item.text)}`;
+  }
+  while (stack.length) html += `</li></${stack.pop().tag}>`;
+  return html;
+}
+
+function splitTableRow(row) {
+  return row
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+function renderMarkdownTable(rows) {
+  const [header, separator, ...body] = rows.map(splitTableRow);
+  const align = separator.map((cell) =>
+    cell.startsWith(":") && cell.endsWith(":")
+      ? "text-center"
+      : cell.endsWith(":")
+        ? "text-right"
+        : "text-left"
+  );
+
+  const cells = (row, tag) =>
+    header
+      .map((_, index) => `<${tag} class="${align[index] || "text-left"}">${processInlineFormatting(row[index] ?? "")}</${tag}>`)
+      .join("");
+
+  return `<div class="overflow-x-auto mb-3">
+    <table class="markdown-table">
+      <thead><tr>${cells(header, "th")}</tr></thead>
+      <tbody>${body.map((row) => `<tr>${cells(row, "td")}</tr>`).join("")}</tbody>
+    </table>
+  </div>`;
+}
+
+function getSectionIcon(title) {
+  const icons = {
+    "Integration Audit Report": "📋",
+    "Critical Issues": "❌",
+    Warnings: "⚠️",
+    Recommendations: "✅",
+    "Overall Score": "📊",
+  };
+
+  for (const [key, icon] of Object.entries(icons)) {
+    if (title.toLowerCase().includes(key.toLowerCase())) {
+      return icon;
+    }
+  }
+  return "📄";
 }
 
 function getSubsectionIcon(title) {
@@ -1371,36 +2466,49 @@ function detectLanguage(code) {
   return "dart"; // Default to dart for this use case
 }
 
-function processInlineFormatting(text) {
-  // Bold text **text**
-  text = text.replace(
-    /\*\*(.*?)\*\*/g,
-    '<strong class="text-gray-900 font-semibold">$1</strong>'
-  );
-
-  // Italic text *text*
-  text = text.replace(/\*(.*?)\*/g, '<em class="text-blue-600">$1</em>');
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
 
-  // Inline code `code`
-  text = text.replace(/`(.*?)`/g, (match, code) => {
-    return `<code class="bg-gray-100 text-gray-800 px-1.5 py-0.5 rounded text-xs font-mono border border-gray-200">${code}</code>`;
-  });
+// Inline markdown (code, links, bold, italic) for one line of raw text. The
+// text is escaped here, so callers must not escape it first.
+function processInlineFormatting(text) {
+  const tokens = [];
+  const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  // Code spans and links are rendered first so emphasis can't reach into them
+  let html = String(text)
+    .replace(/\u0000/g, "")
+    .replace(/`([^`]+)`/g, (match, code) =>
+      stash(
+        `<code class="bg-gray-100 text-gray-800 px-1.5 py-0.5 rounded text-xs font-mono border border-gray-200">${escapeHtml(code)}</code>`
+      )
+    )
+    .replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) =>
+      isSafeUrl(url)
+        ? stash(
+            `<a href="${escapeHtml(url)}"${title ? ` title="${escapeHtml(title)}"` : ""} target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:underline">${formatEmphasis(escapeHtml(label))}</a>`
+          )
+        : match
+    );
 
-  // Highlight important terms
-  text = text.replace(
-    /\b(FAIL|ERROR|CRITICAL)\b/g,
-    '<span class="text-red-600 font-bold">$1</span>'
-  );
-  text = text.replace(
-    /\b(WARN|WARNING)\b/g,
-    '<span class="text-amber-600 font-bold">$1</span>'
-  );
-  text = text.replace(
-    /\b(PASS|SUCCESS|OK)\b/g,
-    '<span class="text-green-600 font-bold">$1</span>'
-  );
+  html = formatEmphasis(escapeHtml(html));
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
 
-  return text;
+// Bold, italic and status keywords on already-escaped text
+function formatEmphasis(html) {
+  return html
+    .replace(/\*\*(.+?)\*\*/g, '<strong class="text-gray-900 font-semibold">$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em class="text-blue-600">$1</em>')
+    .replace(/\b(FAIL|ERROR|CRITICAL)\b/g, '<span class="text-red-600 font-bold">$1</span>')
+    .replace(/\b(WARN|WARNING)\b/g, '<span class="text-amber-600 font-bold">$1</span>')
+    .replace(/\b(PASS|SUCCESS|OK)\b/g, '<span class="text-green-600 font-bold">$1</span>');
 }
 
 // --- UI FUNCTIONS ---
@@ -1411,8 +2519,8 @@ function updateStepIndicator(step, status) {
   if (!item || !statusIcon) return;
 
   // Reset classes
-  item.classList.remove("active", "completed", "error");
-  statusIcon.classList.remove("running", "completed", "error");
+  item.classList.remove("active", "completed", "error", "cancelled");
+  statusIcon.classList.remove("running", "completed", "error", "cancelled");
 
   if (status === "active") {
     item.classList.add("active");
@@ -1435,6 +2543,14 @@ function updateStepIndicator(step, status) {
     statusIcon.innerHTML = `<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
       <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z"/>
     </svg>`;
+  } else if (status === "cancelled") {
+    item.classList.add("cancelled");
+    statusIcon.classList.add("cancelled");
+    // Stop icon for cancelled state
+    statusIcon.innerHTML = `<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 10a1 1 0 011-1h4a1 1 0 011 1v4a1 1 0 01-1 1h-4a1 1 0 01-1-1v-4z"/>
+    </svg>`;
   } else {
     // Reset to clock icon (pending state)
     statusIcon.innerHTML = `<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1443,6 +2559,103 @@ function updateStepIndicator(step, status) {
   }
 }
 
+// Swap the loading spinner for the result panel while keeping the step
+// indicator in its running state (used while output is still streaming in)
+function revealStepResult(step) {
+  const loading = document.getElementById(`step${step}-loading`);
+  const result = document.getElementById(`step${step}-result`);
+  if (loading) loading.classList.add("hidden");
+  if (result) result.classList.remove("hidden");
+}
+
+// Show how many times the stage's model calls were retried. While a retry
+// is pending, info describes the wait and the error that caused it.
+function renderStageRetries(step, info) {
+  const container = document.getElementById(`step${step}-retries`);
+  if (!container) return;
+
+  const count = pipelineState.retries[step] || 0;
+  if (count === 0) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const summary = `↻ ${count} ${count === 1 ? "retry" : "retries"}`;
+  const detail = info
+    ? ` · waiting ${Math.ceil(info.delayMs / 1000)}s before attempt ${info.attempt + 1} of ${info.maxRetries + 1} (${escapeHtml(info.error.message)})`
+    : "";
+  container.innerHTML = `<div class="retry-note">${summary}${detail}</div>`;
+}
+
+// Render a stage panel from the results held in pipelineState
+function renderStepOutput(step) {
+  if (step === 1) {
+    renderSpecOutput();
+    renderPackageChecks(1);
+  } else if (step === 2) {
+    const cleanStep2 = extractCodeFromMarkdown(pipelineState.step2Result || "");
+    renderGeneratedCode(cleanStep2, getCurrentCodeAnnotations(cleanStep2));
+  } else if (step === 3) {
+    document.getElementById("step3-lint").innerHTML = pipelineState.step2Result
+      ? renderLintFindings(pipelineState.lintFindings)
+      : "";
+    document.getElementById("step3-output").innerHTML = pipelineState.step3Result
+      ? renderAuditPanel(pipelineState.step3Result, pipelineState.auditReport)
+      : "";
+    renderPackageChecks(3);
+  }
+}
+
+// Build an onChunk handler that progressively renders streamed model output
+// into a stage panel. Renders are batched to one per animation frame so
+// highlight.js isn't re-run for every token.
+function createStreamRenderer(step) {
+  const output = document.getElementById(`step${step}-output`);
+  let latest = "";
+  let scheduled = false;
+  let closed = false;
+
+  const render = (text) => {
+    latest = text;
+    if (scheduled || closed || !output) return;
+    scheduled = true;
+    requestAnimationFrame(() => {
+      scheduled = false;
+      if (closed) return;
+      revealStepResult(step);
+      if (step === 3) {
+        output.innerHTML = renderAuditProgress(latest);
+      } else {
+        output.classList.remove("annotated");
+        output.classList.add("streaming");
+        output.innerHTML = highlightCode(latest);
+        output.scrollTop = output.scrollHeight;
+      }
+    });
+  };
+
+  // Stop rendering once the final output has been written
+  render.close = () => {
+    closed = true;
+    if (output) output.classList.remove("streaming");
+  };
+
+  return render;
+}
+
+// While the JSON audit streams in, show how many findings have arrived;
+// a reply that turns out to be markdown is rendered as it comes
+function renderAuditProgress(text) {
+  if (!text.trimStart().replace(/^```\w*\s*/, "").startsWith("{")) {
+    return renderMarkdownAudit(text);
+  }
+  const count = (text.match(/"ruleId"\s*:/g) || []).length;
+  return `<div class="bg-white border border-gray-200 rounded-xl p-6 shadow-sm flex items-center gap-3">
+    <div class="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+    <span class="text-sm text-gray-600">Receiving audit… ${count} finding${count === 1 ? "" : "s"} so far</span>
+  </div>`;
+}
+
 function showStepLoading(step, show) {
   const loading = document.getElementById(`step${step}-loading`);
   const result = document.getElementById(`step${step}-result`);
@@ -1494,11 +2707,12 @@ function selectWorkflowStep(step) {
   const readyState = document.getElementById("ready-state");
   if (readyState) readyState.classList.add("hidden");
 
-  // Hide all step contents
+  // Hide all step contents and the batch table
   for (let i = 1; i <= 3; i++) {
     const content = document.getElementById(`step${i}-content`);
     if (content) content.classList.add("hidden");
   }
+  document.getElementById("batch-view")?.classList.add("hidden");
 
   // Show selected step content
   const selectedContent = document.getElementById(`step${step}-content`);
@@ -1543,212 +2757,1739 @@ function copyCode(elementId) {
 
 function updateModelInfo(selectedModel) {
   // Model info display removed in new UI - function kept for compatibility
-  const modelNames = {
-    "gemini-3.0-pro": "Gemini 3.0 Pro",
-    "claude-4.5-opus": "Claude 4.5 Opus",
-    "gpt-5.1-codex-max": "GPT-5.1-Codex-Max",
-  };
-  console.log(`Using model: ${modelNames[selectedModel] || selectedModel}`);
+  const label = MODEL_CATALOG[selectedModel]?.label;
+  console.log(`Using model: ${label || selectedModel}`);
 }
 
-// --- MAIN PIPELINE ---
+// --- AUTO-REPAIR ---
 
-async function runThinkingPipeline() {
-  console.log("runThinkingPipeline called");
-  if (pipelineState.isRunning) return;
+function getAutoRepairSettings() {
+  const enabled = document.getElementById("auto-repair-toggle")?.checked;
+  const threshold = parseInt(
+    document.getElementById("auto-repair-threshold")?.value,
+    10
+  );
+  const maxRounds = parseInt(
+    document.getElementById("auto-repair-max")?.value,
+    10
+  );
 
-  const userInput = document.getElementById("pipeline-input").value;
-  const selectedModel = document.getElementById("code-generator-model").value;
+  return {
+    enabled: Boolean(enabled),
+    threshold: Number.isFinite(threshold) ? threshold : 80,
+    maxRounds: Number.isFinite(maxRounds) ? Math.max(1, maxRounds) : 3,
+  };
+}
 
-  if (!userInput.trim()) {
-    alert("Please describe your FlutterFlow widget first.");
+function renderRepairIterations() {
+  const container = document.getElementById("step3-iterations");
+  if (!container) return;
+
+  const iterations = pipelineState.repairIterations;
+  if (iterations.length === 0) {
+    container.innerHTML = "";
     return;
   }
 
-  // Check for image references in non-Gemini models
-  if (
-    selectedModel !== "gemini-3.0-pro" &&
-    (userInput.toLowerCase().includes("screenshot") ||
-      userInput.toLowerCase().includes("image") ||
-      userInput.toLowerCase().includes("picture") ||
-      userInput.toLowerCase().includes(".png") ||
-      userInput.toLowerCase().includes(".jpg") ||
-      userInput.toLowerCase().includes(".jpeg") ||
-      userInput.toLowerCase().includes(".gif") ||
-      userInput.toLowerCase().includes("Screenshot"))
-  ) {
-    const proceed = confirm(
-      "⚠️ Your request mentions images.\n\n" +
-        `${selectedModel} doesn't support image input.\n\n` +
-        "Use Gemini 3.0 Pro for image-based requests,\n" +
-        "or remove image references and continue.\n\n" +
-        "Continue anyway?"
-    );
-    if (!proceed) return;
-  }
+  const chips = iterations
+    .map((iteration, index) => {
+      const score = iteration.score === null ? "?" : iteration.score;
+      const selected = index === pipelineState.selectedIteration;
+      return `<button
+        class="px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors ${
+          selected
+            ? "bg-blue-500 border-blue-500 text-white"
+            : "bg-white border-gray-200 text-gray-700 hover:bg-gray-50"
+        }"
+        onclick="showRepairIteration(${index})"
+      >${index === 0 ? "Initial" : `Repair ${index}`} · ${score}/100</button>`;
+    })
+    .join("");
+
+  // The loop stops at an audit without a score (see runAuditStage)
+  const unscored =
+    iterations[iterations.length - 1].score === null
+      ? `<p class="text-xs text-amber-700 -mt-2 mb-4">Auto-repair stopped: the last audit has no score to compare with the target. Run step 3 again or repair manually.</p>`
+      : "";
+
+  container.innerHTML = `
+    <div class="flex items-center gap-2 flex-wrap mb-4">
+      <span class="text-xs font-bold text-gray-600 uppercase tracking-wider mr-1">Iterations</span>
+      ${chips}
+    </div>
+    ${unscored}
+  `;
+}
 
-  const btn = document.getElementById("btn-run-pipeline");
+// Restore the code and audit of a recorded iteration into the stage panels
+function showRepairIteration(index) {
+  const iteration = pipelineState.repairIterations[index];
+  if (!iteration) return;
 
-  // Reset state
-  pipelineState.isRunning = true;
-  pipelineState.step1Result = null;
-  pipelineState.step2Result = null;
-  pipelineState.step3Result = null;
+  pipelineState.selectedIteration = index;
 
-  btn.disabled = true;
-  btn.innerHTML = `<svg class="w-4 h-4 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
-  </svg>
-  Running...`;
+  renderGeneratedCode(
+    iteration.code,
+    getCodeAnnotations(iteration.code, iteration.report, iteration.lintFindings)
+  );
 
-  // Update model info
-  updateModelInfo(selectedModel);
+  document.getElementById("step3-lint").innerHTML = renderLintFindings(
+    iteration.lintFindings
+  );
+  document.getElementById("step3-output").innerHTML = renderAuditPanel(
+    iteration.audit,
+    iteration.report
+  );
 
-  try {
-    // Dismiss welcome video and hide ready state, show step 1
-    dismissWelcomeVideo();
-    const readyState = document.getElementById("ready-state");
-    if (readyState) readyState.classList.add("hidden");
+  renderRepairIterations();
+}
+
+// --- IMAGE ATTACHMENTS ---
+// Design mockups dropped or pasted into the prompt canvas. Stored as base64
+// so they can be sent inline to providers that accept images.
+
+const ATTACHMENT_MIME_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+const MAX_ATTACHMENTS = 4;
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
 
-    // Step 1: Prompt Architect
-    selectWorkflowStep(1);
-    showStepLoading(1, true);
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1]);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
 
-    pipelineState.step1Result = await runPromptArchitect(userInput);
+async function addImageAttachments(files) {
+  for (const file of files) {
+    if (!ATTACHMENT_MIME_TYPES.includes(file.type)) {
+      alert(`${file.name || "File"} is not a supported image (PNG, JPEG, WebP or GIF).`);
+      continue;
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      alert(`${file.name || "Image"} is larger than 5 MB.`);
+      continue;
+    }
+    if (pipelineState.attachments.length >= MAX_ATTACHMENTS) {
+      alert(`You can attach up to ${MAX_ATTACHMENTS} images.`);
+      break;
+    }
 
-    const step1Output = document.getElementById("step1-output");
-    const cleanStep1 = extractCodeFromMarkdown(pipelineState.step1Result);
-    step1Output.innerHTML = highlightCode(cleanStep1);
-    step1Output.dataset.raw = cleanStep1; // Store raw for copy
-    showStepLoading(1, false);
+    pipelineState.attachments.push({
+      name: file.name || "pasted-image",
+      mimeType: file.type,
+      data: await readFileAsBase64(file),
+    });
+  }
+  renderAttachments();
+}
 
-    // Step 2: Code Generator
-    selectWorkflowStep(2);
-    showStepLoading(2, true);
+function removeAttachment(index) {
+  pipelineState.attachments.splice(index, 1);
+  renderAttachments();
+}
 
-    pipelineState.step2Result = await runCodeGenerator(
-      pipelineState.step1Result,
-      selectedModel
-    );
+function renderAttachments() {
+  const container = document.getElementById("pipeline-attachments");
+  if (!container) return;
 
-    const step2Output = document.getElementById("step2-output");
-    const cleanStep2 = extractCodeFromMarkdown(pipelineState.step2Result);
-    step2Output.innerHTML = highlightCode(cleanStep2);
-    step2Output.dataset.raw = cleanStep2; // Store raw for copy
-    showStepLoading(2, false);
+  container.innerHTML = pipelineState.attachments
+    .map(
+      (image, index) => `<div class="attachment-thumb" title="${escapeHtml(image.name)}">
+        <img src="data:${image.mimeType};base64,${image.data}" alt="${escapeHtml(image.name)}" />
+        <button onclick="removeAttachment(${index})" title="Remove">×</button>
+      </div>`
+    )
+    .join("");
+}
 
-    // Step 3: Code Audit
-    selectWorkflowStep(3);
-    showStepLoading(3, true);
+function initializeAttachments() {
+  const input = document.getElementById("pipeline-input");
+  const dropZone = document.getElementById("prompt-canvas");
+  const fileInput = document.getElementById("attachment-file-input");
+  if (!input || !dropZone) return;
 
-    pipelineState.step3Result = await runCodeDissector(
-      pipelineState.step2Result
+  input.addEventListener("paste", (event) => {
+    const files = [...(event.clipboardData?.files || [])].filter((file) =>
+      file.type.startsWith("image/")
     );
+    if (files.length > 0) {
+      event.preventDefault();
+      addImageAttachments(files);
+    }
+  });
 
-    const auditOutput = document.getElementById("step3-output");
-    auditOutput.innerHTML = renderMarkdownAudit(pipelineState.step3Result);
+  dropZone.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    dropZone.classList.add("drag-over");
+  });
+  dropZone.addEventListener("dragleave", () => {
+    dropZone.classList.remove("drag-over");
+  });
+  dropZone.addEventListener("drop", (event) => {
+    event.preventDefault();
+    dropZone.classList.remove("drag-over");
+    addImageAttachments([...(event.dataTransfer?.files || [])]);
+  });
 
-    showStepLoading(3, false);
-  } catch (error) {
-    console.error("Pipeline failed:", error);
+  fileInput?.addEventListener("change", () => {
+    addImageAttachments([...fileInput.files]);
+    fileInput.value = "";
+  });
+}
 
-    // Determine which step failed based on the error context
-    let errorStep = 1; // Default to step 1
-    if (
-      error.message.includes("Claude") ||
-      error.message.includes("OpenAI") ||
-      error.message.includes("Code Generator")
-    ) {
-      errorStep = 2;
-    } else if (error.message.includes("Code Dissector")) {
-      errorStep = 3;
-    }
+// --- FLUTTERFLOW PROJECT CONTEXT ---
+// Data Types, App State fields and theme tokens read from a FlutterFlow code
+// export (zip or folder). The architect reuses them instead of inventing new
+// names, and the linter and dissector flag references to ones that don't exist.
 
-    selectWorkflowStep(errorStep);
-    const resultDiv = document.getElementById(`step${errorStep}-result`);
-    const loadingDiv = document.getElementById(`step${errorStep}-loading`);
-    const output = document.getElementById(`step${errorStep}-output`);
-
-    // Hide loading and show error
-    if (loadingDiv) loadingDiv.classList.add("hidden");
-    if (resultDiv) resultDiv.classList.remove("hidden");
-
-    if (output) {
-      // Format error message based on type
-      let errorMessage = error.message;
-      if (error.message.includes("image input")) {
-        errorMessage =
-          "This model doesn't support image input. Please use Gemini 3.0 Pro for image-based requests or remove image references from your prompt.";
-      } else if (
-        error.message.includes("Load failed") ||
-        error.message.includes("CORS")
-      ) {
-        errorMessage =
-          "API connection failed. This might be due to CORS restrictions or network issues. Please check your API key and try again.";
-      }
+const PROJECT_CONTEXT_STORAGE_KEY = "ccc_project_context";
 
-      output.innerHTML = `<div class="bg-red-50 border border-red-200 rounded-lg p-4">
-        <h4 class="text-red-600 font-bold text-xs uppercase mb-2">Connection Error</h4>
-        <p class="text-sm text-red-700">${errorMessage}</p>
-        <div class="mt-3 text-xs text-gray-500">
-          <p>Check if API key is valid</p>
-          <p>Try using a different model</p>
-          <p>Ensure network allows API calls</p>
-        </div>
-      </div>`;
-    }
+let projectContext = null;
 
-    updateStepIndicator(errorStep, "error");
-  } finally {
-    pipelineState.isRunning = false;
-    btn.disabled = false;
+function loadProjectContext() {
+  try {
+    projectContext = JSON.parse(localStorage.getItem(PROJECT_CONTEXT_STORAGE_KEY));
+  } catch (error) {
+    console.warn("Ignoring unreadable project context:", error);
+    projectContext = null;
+  }
+}
+
+function saveProjectContext() {
+  if (projectContext) {
+    localStorage.setItem(PROJECT_CONTEXT_STORAGE_KEY, JSON.stringify(projectContext));
+  } else {
+    localStorage.removeItem(PROJECT_CONTEXT_STORAGE_KEY);
+  }
+}
+
+async function importProjectZip(file) {
+  const entries = await readZipEntries(file, (path) => getProjectFileKind(path) !== null);
+  return buildProjectContext(file.name.replace(/\.zip$/i, ""), entries);
+}
+
+async function importProjectFolder(files) {
+  const wanted = files.filter((file) => getProjectFileKind(file.webkitRelativePath));
+  const entries = await Promise.all(
+    wanted.map(async (file) => ({
+      path: file.webkitRelativePath,
+      text: await file.text(),
+    }))
+  );
+  const name = files[0]?.webkitRelativePath.split("/")[0] || "FlutterFlow project";
+  return buildProjectContext(name, entries);
+}
+
+async function handleProjectImport(importer) {
+  try {
+    projectContext = await importer();
+    saveProjectContext();
+  } catch (error) {
+    console.error("Project import failed:", error);
+    alert(`Could not import the FlutterFlow project: ${error.message}`);
+  }
+  renderProjectContext();
+}
+
+function clearProjectContext() {
+  projectContext = null;
+  saveProjectContext();
+  renderProjectContext();
+}
+
+function renderProjectContext() {
+  const container = document.getElementById("project-context-summary");
+  if (!container) return;
+
+  if (!projectContext) {
+    container.innerHTML = `<p class="text-xs text-gray-500">No project loaded. The architect will create new Data Types and state names as needed.</p>`;
+    return;
+  }
+
+  const { structs, appState, theme } = projectContext;
+  const counts = [
+    `${structs.length} Data Type${structs.length === 1 ? "" : "s"}`,
+    `${appState?.fields.length || 0} App State field${appState?.fields.length === 1 ? "" : "s"}`,
+    `${theme?.colors.length || 0} colors`,
+    `${theme?.textStyles.length || 0} text styles`,
+  ];
+
+  container.innerHTML = `
+    <div class="flex items-center justify-between gap-2">
+      <span class="text-sm font-medium text-gray-900 truncate" title="${escapeHtml(projectContext.name)}">${escapeHtml(projectContext.name)}</span>
+      <button class="text-xs text-gray-400 hover:text-red-500" onclick="clearProjectContext()">Clear</button>
+    </div>
+    <p class="text-xs text-gray-500 mt-1">${counts.join(" · ")}</p>
+    ${
+      structs.length
+        ? `<p class="text-xs text-gray-400 mt-1 truncate" title="${escapeHtml(structs.map((struct) => struct.name).join(", "))}">${escapeHtml(structs.map((struct) => struct.name).join(", "))}</p>`
+        : ""
+    }
+  `;
+}
+
+function initializeProjectImport() {
+  loadProjectContext();
+  renderProjectContext();
+
+  const zipInput = document.getElementById("project-zip-input");
+  const folderInput = document.getElementById("project-folder-input");
+
+  zipInput?.addEventListener("change", () => {
+    const file = zipInput.files[0];
+    zipInput.value = "";
+    if (file) handleProjectImport(() => importProjectZip(file));
+  });
+
+  folderInput?.addEventListener("change", () => {
+    const files = [...folderInput.files];
+    folderInput.value = "";
+    if (files.length) handleProjectImport(() => importProjectFolder(files));
+  });
+}
+
+// --- MAIN PIPELINE ---
+// The pipeline is split into three stages that read their input from the
+// cached output of the previous stage, so any stage can be re-run on its own
+// and step-by-step mode can pause between them.
+
+function isStepByStepMode() {
+  return Boolean(document.getElementById("step-mode-toggle")?.checked);
+}
+
+async function runThinkingPipeline() {
+  console.log("runThinkingPipeline called");
+  if (pipelineState.isRunning) return;
+
+  const userInput = document.getElementById("pipeline-input").value;
+  const stageModels = getStageModels();
+  const selectedModel = stageModels.generator;
+
+  if (!userInput.trim()) {
+    alert("Please describe your FlutterFlow widget first.");
+    return;
+  }
+
+  // Attached mockups only reach models that declare image support
+  const imageBlindStages = ["architect", "generator"].filter(
+    (stage) => !modelSupportsImages(stageModels[stage])
+  );
+  if (pipelineState.attachments.length > 0 && imageBlindStages.length > 0) {
+    const names = imageBlindStages
+      .map(
+        (stage) =>
+          `${PIPELINE_STAGES[stage].label} (${MODEL_CATALOG[stageModels[stage]].label})`
+      )
+      .join(" and ");
+    const proceed = confirm(
+      "⚠️ You attached images.\n\n" +
+        `${names} can't accept image input, so the mockups will be skipped there.\n\n` +
+        "Continue anyway?"
+    );
+    if (!proceed) return;
+  }
+
+  // Check before the reset so a run that can't start keeps the last results
+  const lastStep = isStepByStepMode() ? 1 : 3;
+  if (!canRunStages(1, lastStep)) return;
+
+  // Reset state
+  pipelineState.step1Result = null;
+  pipelineState.step1Spec = null;
+  pipelineState.step2Result = null;
+  pipelineState.step3Result = null;
+  pipelineState.lintFindings = [];
+  pipelineState.auditReport = null;
+  pipelineState.auditedCode = null;
+  pipelineState.comparison = null;
+  renderComparison();
+  pipelineState.repairIterations = [];
+  pipelineState.selectedIteration = 0;
+  pipelineState.pausedAfter = 0;
+  pipelineState.retries = {};
+  pipelineState.usage = {};
+  renderUsageSummary();
+  document.getElementById("step1-validation").innerHTML = "";
+  document.getElementById("step3-lint").innerHTML = "";
+  renderPackageChecks(1);
+  renderPackageChecks(3);
+  renderRepairIterations();
+  setSpecEditorVisible(false);
+  for (let step = 1; step <= 3; step++) {
+    updateStepIndicator(step, "pending");
+    renderStageRetries(step);
+  }
+
+  pipelineState.currentRun = {
+    id: crypto.randomUUID(),
+    name: null,
+    pinned: false,
+    userInput,
+    selectedModel,
+    stageModels,
+    attachments: pipelineState.attachments,
+    project: projectContext?.name || null,
+    status: "running",
+    createdAt: Date.now(),
+  };
+  await saveCurrentRun({});
+
+  // Update model info
+  updateModelInfo(selectedModel);
+
+  await executeStages(1, lastStep, { checked: true });
+}
+
+// Resume a paused step-by-step run with the next stage
+async function continuePipeline() {
+  if (pipelineState.isRunning || !pipelineState.pausedAfter) return;
+
+  if (pipelineState.pausedAfter === 1 && !applySpecEdits()) return;
+
+  const next = pipelineState.pausedAfter + 1;
+  await executeStages(next, isStepByStepMode() ? next : 3);
+}
+
+// Re-run a single stage from the cached output of the previous stage
+async function rerunStage(step) {
+  if (pipelineState.isRunning) return;
+
+  if (step === 2 && pipelineState.pausedAfter === 1 && !applySpecEdits()) {
+    return;
+  }
+
+  const prerequisites = {
+    2: pipelineState.step1Result,
+    3: pipelineState.step2Result,
+  };
+  if (step > 1 && !prerequisites[step]) {
+    alert("Run the previous stage first.");
+    return;
+  }
+
+  if (!pipelineState.currentRun) {
+    pipelineState.currentRun = {
+      id: crypto.randomUUID(),
+      name: null,
+      pinned: false,
+      userInput: document.getElementById("pipeline-input").value,
+      selectedModel: getStageModel("generator"),
+      stageModels: getStageModels(),
+      status: "running",
+      createdAt: Date.now(),
+    };
+  }
+
+  await executeStages(step, step);
+}
+
+// Abort the in-flight model call; executeStages marks the step as cancelled
+function cancelPipeline() {
+  pipelineState.abortController?.abort();
+}
+
+// Compare mode audits every candidate, so it always runs through step 3
+function isCompareRun(fromStep, toStep) {
+  return isCompareMode() && fromStep <= 2 && toStep >= 2;
+}
+
+// Checks that can stop a run before it starts: a running batch, missing keys
+// for the stages about to run and the spending budget. Alerts and returns
+// false when the run should not go ahead.
+function canRunStages(fromStep, toStep) {
+  if (batchState.isRunning) {
+    alert("A batch is running. Wait for it to finish or cancel it first.");
+    return false;
+  }
+
+  if (isCompareRun(fromStep, toStep)) toStep = 3;
+
+  // Every stage about to run needs a key for its provider
+  const missing = getStagesMissingKeys(fromStep, toStep);
+  if (missing.length > 0) {
+    const lines = missing.map(
+      ({ label, provider }) => `• ${label} needs a ${PROVIDERS[provider].label} key`
+    );
+    alert(
+      "⚠️ Missing API keys:\n\n" +
+        lines.join("\n") +
+        (isVaultLocked()
+          ? "\n\nYour key vault is locked. Unlock it in API Keys."
+          : "\n\nAdd them in API Keys or pick a different model for these stages.")
+    );
+    openApiKeysModal();
+    return false;
+  }
+
+  return checkBudgetBeforeRun();
+}
+
+// `checked` skips canRunStages when the caller already ran it (and so already
+// asked about the budget)
+async function executeStages(fromStep, toStep, { checked = false } = {}) {
+  if (pipelineState.isRunning) return;
+  if (!checked && !canRunStages(fromStep, toStep)) return;
+
+  const compare = isCompareRun(fromStep, toStep);
+  if (compare) toStep = 3;
+
+  const btn = document.getElementById("btn-run-pipeline");
+
+  pipelineState.isRunning = true;
+  pipelineState.pausedAfter = 0;
+  pipelineState.abortController = new AbortController();
+  setSpecEditorVisible(false);
+  renderStageActions();
+  document.getElementById("btn-cancel-pipeline").classList.remove("hidden");
+
+  btn.disabled = true;
+  btn.innerHTML = `<svg class="w-4 h-4 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"/>
+  </svg>
+  Running...`;
+
+  // Streamed output renderers for the stage panels (one per stage run)
+  const streams = [];
+  // Every stage of this run uses the rules active when it started
+  const context = {
+    signal: pipelineState.abortController.signal,
+    rulePack: activeRulePack,
+    onUsage(usage) {
+      recordUsage(pipelineState.currentStep, usage);
+    },
+    onRetry(info) {
+      const step = pipelineState.currentStep;
+      pipelineState.retries[step] = (pipelineState.retries[step] || 0) + 1;
+      renderStageRetries(step, info);
+    },
+    openStream(step) {
+      const stream = createStreamRenderer(step);
+      streams.push(stream);
+      return stream;
+    },
+  };
+
+  const stages = {
+    1: runArchitectStage,
+    2: compare ? runCompareStage : runGeneratorStage,
+    3: runAuditStage,
+  };
+
+  try {
+    // Dismiss welcome video and hide ready state
+    dismissWelcomeVideo();
+    const readyState = document.getElementById("ready-state");
+    if (readyState) readyState.classList.add("hidden");
+
+    await saveCurrentRun({ status: "running", rulePack: describeRulePack(context.rulePack) });
+
+    for (let step = fromStep; step <= toStep; step++) {
+      if (step === 3 && context.auditDone) continue;
+      pipelineState.currentStep = step;
+      pipelineState.retries[step] = 0;
+      renderStageRetries(step);
+      await stages[step](context);
+      renderStageRetries(step);
+    }
+
+    if (toStep < 3) {
+      // Paused: wait for the user to continue explicitly
+      pipelineState.pausedAfter = toStep;
+      if (toStep === 1) setSpecEditorVisible(true);
+      await saveCurrentRun({
+        status: "paused",
+        retries: pipelineState.retries,
+        usage: pipelineState.usage,
+      });
+    } else {
+      await saveCurrentRun({
+        status: "completed",
+        retries: pipelineState.retries,
+        usage: pipelineState.usage,
+        repairIterations: pipelineState.repairIterations,
+        completedAt: Date.now(),
+      });
+    }
+  } catch (error) {
+    // Make sure a pending streamed render can't overwrite the stage panel
+    streams.forEach((stream) => stream.close());
+
+    if (isAbortError(error)) {
+      console.log(`Pipeline cancelled during step ${pipelineState.currentStep}`);
+      renderStageRetries(pipelineState.currentStep);
+      saveCurrentRun({
+        status: "cancelled",
+        retries: pipelineState.retries,
+        usage: pipelineState.usage,
+        repairIterations: pipelineState.repairIterations,
+        completedAt: Date.now(),
+      });
+      showStageCancelled(pipelineState.currentStep || 1);
+      return;
+    }
+
+    console.error("Pipeline failed:", error);
+
+    renderStageRetries(pipelineState.currentStep);
+    saveCurrentRun({
+      status: "failed",
+      retries: pipelineState.retries,
+      usage: pipelineState.usage,
+      error: error.message,
+      repairIterations: pipelineState.repairIterations,
+      completedAt: Date.now(),
+    });
+
+    showStageError(pipelineState.currentStep || 1, error);
+  } finally {
+    pipelineState.isRunning = false;
+    pipelineState.abortController = null;
+    document.getElementById("btn-cancel-pipeline").classList.add("hidden");
+    btn.disabled = false;
     btn.innerHTML = `<svg class="w-4 h-4" fill="currentColor" viewBox="0 0 24 24">
       <path d="M8 5v14l11-7z"/>
     </svg>
     Run Pipeline`;
+    renderStageActions();
+    renderComparison();
   }
 }
 
-function retryWithDifferentModel() {
-  // Show model selection dialog
-  const currentModel = document.getElementById("code-generator-model").value;
-  const otherModels = [
-    "gemini-3.0-pro",
-    "claude-4.5-opus",
-    "gpt-5.1-codex-max",
-  ].filter((model) => model !== currentModel);
+// Step 1: Prompt Architect
+async function runArchitectStage(context) {
+  const userInput = document.getElementById("pipeline-input").value;
+
+  selectWorkflowStep(1);
+  showStepLoading(1, true);
+  document.getElementById("step1-validation").innerHTML = "";
+
+  const images = pipelineState.attachments;
+
+  const architectModel = getStageModel("architect");
+
+  // The repair call (if any) streams into a fresh renderer
+  let step1Stream = context.openStream(1);
+  const architect = await runArchitectWithRepair(userInput, {
+    onChunk: (text) => step1Stream(text),
+    onRepair(errors) {
+      console.warn("Architect spec failed validation:", errors);
+      step1Stream.close();
+      step1Stream = context.openStream(1);
+    },
+    signal: context.signal,
+    rulePack: context.rulePack,
+    onRetry: context.onRetry,
+    onUsage: context.onUsage,
+    images,
+    model: architectModel,
+    projectContext,
+  });
+  step1Stream.close();
+  pipelineState.step1Result = architect.raw;
+
+  // Hand the generator normalized JSON whenever the spec parsed
+  pipelineState.step1Spec = architect.spec;
+  if (architect.spec) {
+    pipelineState.step1Result = JSON.stringify(architect.spec, null, 2);
+  }
+  const { specValidation } = architect;
+  document.getElementById("step1-validation").innerHTML =
+    renderSpecValidation(specValidation);
+
+  renderSpecOutput();
+  renderPackageChecks(1);
+  showStepLoading(1, false);
+
+  await saveCurrentRun({
+    userInput,
+    attachments: images,
+    artifactName: architect.spec?.artifactName || null,
+    step1Result: pipelineState.step1Result,
+    step1Spec: pipelineState.step1Spec,
+    specValidation,
+    step1CompletedAt: Date.now(),
+  });
+}
+
+function renderSpecOutput() {
+  const step1Output = document.getElementById("step1-output");
+  const cleanStep1 = extractCodeFromMarkdown(pipelineState.step1Result || "");
+  step1Output.innerHTML = highlightCode(cleanStep1);
+  step1Output.dataset.raw = cleanStep1; // Store raw for copy
+}
+
+// Step 2: Code Generator
+async function generateCode(context, repair) {
+  const selectedModel = getStageModel("generator");
+
+  selectWorkflowStep(2);
+  showStepLoading(2, true);
 
-  const selectedModel = prompt(
-    `Retry with different model?\n\nCurrent: ${currentModel}\n\nOptions:\n1. ${otherModels[0]}\n2. ${otherModels[1]}\n\nEnter 1 or 2:`
+  const step2Stream = context.openStream(2);
+  pipelineState.step2Result = await runCodeGenerator(
+    pipelineState.step1Result,
+    selectedModel,
+    {
+      onChunk: step2Stream,
+      signal: context.signal,
+      rulePack: context.rulePack,
+      onRetry: context.onRetry,
+      onUsage: context.onUsage,
+      repair,
+      images: pipelineState.attachments,
+    }
   );
+  step2Stream.close();
+
+  const cleanStep2 = extractCodeFromMarkdown(pipelineState.step2Result);
+  renderGeneratedCode(cleanStep2);
+  showStepLoading(2, false);
+
+  await saveCurrentRun({
+    selectedModel,
+    step2Result: cleanStep2,
+    step2CompletedAt: Date.now(),
+  });
 
-  if (selectedModel === "1") {
-    document.getElementById("code-generator-model").value = otherModels[0];
-    runThinkingPipeline();
-  } else if (selectedModel === "2") {
-    document.getElementById("code-generator-model").value = otherModels[1];
-    runThinkingPipeline();
+  return cleanStep2;
+}
+
+async function runGeneratorStage(context) {
+  pipelineState.comparison = null;
+  renderComparison();
+  pipelineState.repairIterations = [];
+  pipelineState.selectedIteration = 0;
+  renderRepairIterations();
+
+  await generateCode(context);
+}
+
+// Step 3: Code Audit
+async function auditCode(context, code) {
+  selectWorkflowStep(3);
+  showStepLoading(3, true);
+
+  // Static lint runs locally and is shown while the LLM audit streams in
+  pipelineState.lintFindings = lintDartCode(code, projectContext);
+  document.getElementById("step3-lint").innerHTML = renderLintFindings(
+    pipelineState.lintFindings
+  );
+
+  const step3Stream = context.openStream(3);
+  pipelineState.step3Result = await runCodeDissector(
+    code,
+    {
+      onChunk: step3Stream,
+      signal: context.signal,
+      rulePack: context.rulePack,
+      onRetry: context.onRetry,
+      onUsage: context.onUsage,
+      model: getStageModel("dissector"),
+      projectContext,
+      packageFindings: checkCodePackages(code, pipelineState.step1Spec, packageCatalog),
+    }
+  );
+  step3Stream.close();
+
+  pipelineState.auditReport = parseAuditReport(pipelineState.step3Result, { code });
+  pipelineState.auditedCode = code;
+  renderPackageChecks(3);
+  if (!pipelineState.auditReport) {
+    console.warn("Dissector reply was not a JSON report; showing it as markdown");
   }
+
+  const auditOutput = document.getElementById("step3-output");
+  auditOutput.innerHTML = renderAuditPanel(
+    pipelineState.step3Result,
+    pipelineState.auditReport
+  );
+  renderGeneratedCode(code, getCurrentCodeAnnotations(code));
+
+  showStepLoading(3, false);
+
+  await saveCurrentRun({
+    step3Result: pipelineState.step3Result,
+    auditReport: pipelineState.auditReport,
+    auditedCode: code,
+    lintFindings: pipelineState.lintFindings,
+    step3CompletedAt: Date.now(),
+  });
 }
 
-// --- SYNTAX HIGHLIGHTING ---
+async function runAuditStage(context) {
+  const autoRepair = getAutoRepairSettings();
+  let code = extractCodeFromMarkdown(pipelineState.step2Result);
+
+  pipelineState.repairIterations = [];
+  renderRepairIterations();
+
+  const recordIteration = () => {
+    pipelineState.repairIterations.push({
+      code,
+      audit: pipelineState.step3Result,
+      report: pipelineState.auditReport,
+      score: getAuditScore(pipelineState.step3Result, pipelineState.auditReport),
+      lintFindings: pipelineState.lintFindings,
+    });
+    pipelineState.selectedIteration =
+      pipelineState.repairIterations.length - 1;
+    renderRepairIterations();
+  };
+
+  await auditCode(context, code);
+
+  // Auto-repair: feed the audit back into the generator until the score
+  // reaches the target or the round limit is hit
+  if (!autoRepair.enabled) return;
+
+  recordIteration();
+
+  for (let round = 1; round <= autoRepair.maxRounds; round++) {
+    const score = getAuditScore(
+      pipelineState.step3Result,
+      pipelineState.auditReport
+    );
+    // Without a score there is nothing to compare with the target, so another
+    // round would only spend generator and dissector calls
+    if (score === null) {
+      console.warn("Auto-repair stopped: the audit has no score");
+      break;
+    }
+    if (score >= autoRepair.threshold) break;
+
+    const feedback = buildRepairFeedback(
+      pipelineState.step3Result,
+      pipelineState.auditReport,
+      pipelineState.lintFindings
+    );
+    // Without findings to act on the generator would only be guessing
+    if (!feedback) {
+      console.warn("Auto-repair stopped: the audit has no findings to fix");
+      break;
+    }
+
+    console.log(
+      `Auto-repair round ${round}/${autoRepair.maxRounds} (score: ${score})`
+    );
+    pipelineState.currentStep = 2;
+    code = await generateCode(context, { previousCode: code, feedback });
+    pipelineState.currentStep = 3;
+    await auditCode(context, code);
+    recordIteration();
+  }
+}
+
+function showStageError(errorStep, error) {
+  selectWorkflowStep(errorStep);
+  const resultDiv = document.getElementById(`step${errorStep}-result`);
+  const loadingDiv = document.getElementById(`step${errorStep}-loading`);
+  const output = document.getElementById(`step${errorStep}-output`);
+
+  // Hide loading and show error
+  if (loadingDiv) loadingDiv.classList.add("hidden");
+  if (resultDiv) resultDiv.classList.remove("hidden");
+
+  if (output) {
+    // Format error message based on type
+    let errorMessage = error.message;
+    if (error.message.includes("image input")) {
+      errorMessage =
+        "This model doesn't support image input. Please use Gemini 3.0 Pro for image-based requests or remove image references from your prompt.";
+    } else if (
+      error.message.includes("Load failed") ||
+      error.message.includes("CORS")
+    ) {
+      errorMessage =
+        "API connection failed. This might be due to CORS restrictions or network issues. Please check your API key and try again.";
+    }
+
+    output.innerHTML = `<div class="bg-red-50 border border-red-200 rounded-lg p-4">
+      <h4 class="text-red-600 font-bold text-xs uppercase mb-2">Connection Error</h4>
+      <p class="text-sm text-red-700">${escapeHtml(errorMessage)}</p>
+      <div class="mt-3 text-xs text-gray-500">
+        <p>Check if API key is valid</p>
+        <p>Try using a different model</p>
+        <p>Ensure network allows API calls</p>
+      </div>
+    </div>`;
+  }
+
+  updateStepIndicator(errorStep, "error");
+}
+
+// Put the cancelled stage back to its last finished output (if it had one)
+// so cancelling a re-run doesn't throw away earlier results
+function showStageCancelled(step) {
+  selectWorkflowStep(step);
+  updateStepIndicator(step, "cancelled");
+
+  const results = {
+    1: pipelineState.step1Result,
+    2: pipelineState.step2Result,
+    3: pipelineState.step3Result,
+  };
+  if (results[step]) {
+    renderStepOutput(step);
+    revealStepResult(step);
+    return;
+  }
+
+  revealStepResult(step);
+  const output = document.getElementById(`step${step}-output`);
+  if (output) {
+    output.innerHTML = `<div class="bg-gray-50 border border-gray-200 rounded-lg p-4">
+      <h4 class="text-gray-600 font-bold text-xs uppercase mb-2">Cancelled</h4>
+      <p class="text-sm text-gray-700">This stage was cancelled before it finished. Results from earlier stages are kept.</p>
+    </div>`;
+  }
+}
+
+// --- STAGE CONTROLS (step-by-step mode) ---
+
+// Show the editable JSON spec instead of the highlighted read-only view
+function setSpecEditorVisible(visible) {
+  const editor = document.getElementById("step1-editor");
+  const viewer = document.getElementById("step1-viewer");
+  if (!editor || !viewer) return;
+
+  if (visible) {
+    editor.value = extractCodeFromMarkdown(pipelineState.step1Result || "");
+    validateSpecEditor();
+  }
+  editor.classList.toggle("hidden", !visible);
+  viewer.classList.toggle("hidden", visible);
+}
+
+function validateSpecEditor() {
+  const editor = document.getElementById("step1-editor");
+  const { errors } = validateArchitectOutput(editor.value);
+
+  document.getElementById("step1-validation").innerHTML =
+    errors.length === 0
+      ? `<div class="flex items-center gap-2 text-xs text-green-700 bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+          <span class="font-semibold uppercase tracking-wider">Spec valid</span>
+          <span>Edit the JSON below, then continue to code generation.</span>
+        </div>`
+      : `<div class="bg-amber-50 border border-amber-200 rounded-lg p-4">
+          <h4 class="text-amber-700 font-bold text-xs uppercase mb-2">Spec Validation</h4>
+          <ul class="list-disc pl-5 text-sm text-amber-800 space-y-1">${errors
+            .map(
+              (error) =>
+                `<li><code class="text-xs font-mono">${escapeHtml(error.path)}</code> ${escapeHtml(error.message)}</li>`
+            )
+            .join("")}</ul>
+        </div>`;
+
+  return errors;
+}
+
+// Commit the edited spec to the pipeline state. Schema issues are allowed
+// through, but the generator needs JSON that at least parses.
+function applySpecEdits() {
+  const editor = document.getElementById("step1-editor");
+  if (!editor || editor.classList.contains("hidden")) return true;
+
+  const { spec } = validateArchitectOutput(editor.value);
+  if (!spec) {
+    alert("The spec is not valid JSON. Fix it before continuing.");
+    return false;
+  }
+
+  pipelineState.step1Spec = spec;
+  pipelineState.step1Result = JSON.stringify(spec, null, 2);
+  renderSpecOutput();
+  renderPackageChecks(1);
+  saveCurrentRun({
+    artifactName: spec.artifactName || null,
+    step1Result: pipelineState.step1Result,
+    step1Spec: spec,
+  });
+  return true;
+}
+
+function renderStageActions() {
+  const nextStageNames = { 1: "Code Generator", 2: "Code Dissector" };
+  const results = {
+    1: pipelineState.step1Result,
+    2: pipelineState.step2Result,
+    3: pipelineState.step3Result,
+  };
+  const inputs = {
+    1: true,
+    2: pipelineState.step1Result,
+    3: pipelineState.step2Result,
+  };
+
+  for (let step = 1; step <= 3; step++) {
+    const container = document.getElementById(`step${step}-actions`);
+    if (!container) continue;
+
+    if (pipelineState.isRunning || !results[step] || !inputs[step]) {
+      container.innerHTML = "";
+      continue;
+    }
+
+    const continueButton =
+      pipelineState.pausedAfter === step
+        ? `<button class="stage-action primary" onclick="continuePipeline()">
+            Continue to ${nextStageNames[step]} →
+          </button>`
+        : "";
+
+    container.innerHTML = `
+      <div class="flex items-center justify-end gap-2 mt-4">
+        <button class="stage-action" onclick="rerunStage(${step})">↻ Re-run this stage</button>
+        ${continueButton}
+      </div>
+    `;
+  }
+}
+
+// --- MODEL COMPARISON ---
+// Compare mode sends the same spec to several generator models at once,
+// audits every candidate, and ranks them by score. The best one becomes
+// the run's artifact until the user picks another.
+
+const COMPARE_MODELS_STORAGE_KEY = "ccc_compare_models";
+const DEFAULT_COMPARE_MODELS = [
+  "gemini-3.0-pro",
+  "claude-4.5-opus",
+  "gpt-5.1-codex-max",
+  "local",
+];
+
+function isCompareMode() {
+  return Boolean(document.getElementById("compare-mode-toggle")?.checked);
+}
+
+function loadCompareModels() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPARE_MODELS_STORAGE_KEY));
+    if (Array.isArray(stored)) return stored.filter((key) => MODEL_CATALOG[key]);
+  } catch (error) {
+    console.warn("Ignoring unreadable compare model list:", error);
+  }
+  return DEFAULT_COMPARE_MODELS;
+}
+
+function saveCompareModels() {
+  const selected = [
+    ...document.querySelectorAll("#compare-models input:checked"),
+  ].map((input) => input.value);
+  localStorage.setItem(COMPARE_MODELS_STORAGE_KEY, JSON.stringify(selected));
+}
+
+function renderCompareModelOptions() {
+  const container = document.getElementById("compare-models");
+  if (!container) return;
+
+  const selected = loadCompareModels();
+  container.innerHTML = Object.entries(MODEL_CATALOG)
+    .map(
+      ([key, model]) => `<label class="flex items-center gap-2 text-xs text-gray-600 cursor-pointer">
+        <input type="checkbox" class="rounded" value="${key}" ${selected.includes(key) ? "checked" : ""} onchange="saveCompareModels()" />
+        ${escapeHtml(key === "local" && localProviderConfig.model ? `Local: ${localProviderConfig.model}` : model.label)}
+      </label>`
+    )
+    .join("");
+}
+
+function toggleCompareMode() {
+  const enabled = isCompareMode();
+  document.getElementById("compare-models").classList.toggle("hidden", !enabled);
+  if (enabled) renderCompareModelOptions();
+}
+
+// Models picked for comparison whose provider has a key
+function getCompareCandidates() {
+  return loadCompareModels().filter((key) => {
+    const provider = MODEL_CATALOG[key].provider;
+    return hasStoredKey(provider) || hasEnvKey(provider);
+  });
+}
+
+// Best first: computed score, then fewer blocking lint findings.
+// Failed candidates go last.
+function rankCandidates(candidates) {
+  const blocking = (candidate) =>
+    (candidate.lintFindings || []).filter((finding) => finding.severity !== "warning")
+      .length;
+  return candidates
+    .map((candidate, index) => index)
+    .sort((a, b) => {
+      const first = candidates[a];
+      const second = candidates[b];
+      if (first.status !== second.status) {
+        return first.status === "done" ? -1 : second.status === "done" ? 1 : 0;
+      }
+      return (
+        (second.score ?? -1) - (first.score ?? -1) ||
+        blocking(first) - blocking(second)
+      );
+    });
+}
+
+// Generate and audit one candidate, updating it in place as it progresses
+async function runCandidate(context, candidate) {
+  const rerender = () => renderComparison();
+
+  try {
+    candidate.status = "generating";
+    rerender();
+    const raw = await runCodeGenerator(pipelineState.step1Result, candidate.model, {
+      signal: context.signal,
+      rulePack: context.rulePack,
+      onRetry: context.onRetry,
+      onUsage: (usage) => recordUsage(2, usage),
+      images: pipelineState.attachments,
+    });
+    candidate.code = extractCodeFromMarkdown(raw);
+
+    candidate.status = "auditing";
+    candidate.lintFindings = lintDartCode(candidate.code, projectContext);
+    rerender();
+    candidate.audit = await runCodeDissector(candidate.code, {
+      signal: context.signal,
+      rulePack: context.rulePack,
+      onRetry: context.onRetry,
+      onUsage: (usage) => recordUsage(3, usage),
+      model: getStageModel("dissector"),
+      projectContext,
+      packageFindings: checkCodePackages(candidate.code, pipelineState.step1Spec, packageCatalog),
+    });
+    candidate.report = parseAuditReport(candidate.audit, { code: candidate.code });
+    candidate.score = getAuditScore(candidate.audit, candidate.report);
+    candidate.status = "done";
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error(`Comparison candidate ${candidate.model} failed:`, error);
+    candidate.status = "failed";
+    candidate.error = error.message;
+  }
+  rerender();
+}
+
+// Step 2 in compare mode. Also covers step 3, since every candidate is
+// audited as part of the comparison.
+async function runCompareStage(context) {
+  const models = getCompareCandidates();
+  if (models.length === 0) {
+    throw new Error(
+      "Compare mode has no models with an API key. Pick models under Code Generation Options or add keys."
+    );
+  }
+
+  pipelineState.repairIterations = [];
+  pipelineState.selectedIteration = 0;
+  renderRepairIterations();
+
+  selectWorkflowStep(2);
+  showStepLoading(2, true);
+
+  pipelineState.comparison = {
+    candidates: models.map((model) => ({
+      model,
+      status: "pending",
+      code: null,
+      audit: null,
+      report: null,
+      lintFindings: [],
+      score: null,
+      error: null,
+    })),
+    winner: null,
+    diff: null,
+  };
+  renderComparison();
+
+  await Promise.all(
+    pipelineState.comparison.candidates.map((candidate) =>
+      runCandidate(context, candidate)
+    )
+  );
+
+  const ranking = rankCandidates(pipelineState.comparison.candidates);
+  const best = pipelineState.comparison.candidates[ranking[0]];
+  if (best.status !== "done") {
+    throw new Error(`Every compared model failed. First error: ${best.error}`);
+  }
+
+  context.auditDone = true;
+  await pickWinner(ranking[0]);
+}
+
+// Make a candidate the run's artifact: its code and audit fill steps 2 and 3
+async function pickWinner(index) {
+  const comparison = pipelineState.comparison;
+  const candidate = comparison?.candidates[index];
+  if (!candidate || candidate.status !== "done") return;
+
+  comparison.winner = index;
+  pipelineState.step2Result = candidate.code;
+  pipelineState.step3Result = candidate.audit;
+  pipelineState.auditReport = candidate.report;
+  pipelineState.lintFindings = candidate.lintFindings;
+  pipelineState.auditedCode = candidate.code;
+
+  for (let step = 2; step <= 3; step++) {
+    renderStepOutput(step);
+    showStepLoading(step, false);
+  }
+  renderComparison();
+  renderStageActions();
+
+  await saveCurrentRun({
+    selectedModel: candidate.model,
+    step2Result: candidate.code,
+    step2CompletedAt: Date.now(),
+    step3Result: candidate.audit,
+    auditReport: candidate.report,
+    auditedCode: candidate.code,
+    lintFindings: candidate.lintFindings,
+    step3CompletedAt: Date.now(),
+    comparison,
+  });
+}
+
+// Line diff via longest common subsequence
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Uint16Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "remove", text: a[i++] });
+    } else {
+      result.push({ type: "add", text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "remove", text: a[i++] });
+  while (j < b.length) result.push({ type: "add", text: b[j++] });
+  return result;
+}
+
+function setComparisonDiff(side, value) {
+  const comparison = pipelineState.comparison;
+  if (!comparison) return;
+  comparison.diff = { ...getComparisonDiff(), [side]: Number(value) };
+  renderComparison();
+}
+
+// Default diff: winner (or best) against the runner-up
+function getComparisonDiff() {
+  const comparison = pipelineState.comparison;
+  const done = rankCandidates(comparison.candidates).filter(
+    (index) => comparison.candidates[index].status === "done"
+  );
+  const left = comparison.winner ?? done[0];
+  return (
+    comparison.diff || {
+      left,
+      right: done.find((index) => index !== left) ?? left,
+    }
+  );
+}
+
+function renderComparisonDiff() {
+  const comparison = pipelineState.comparison;
+  const finished = comparison.candidates
+    .map((candidate, index) => ({ candidate, index }))
+    .filter(({ candidate }) => candidate.status === "done");
+  if (finished.length < 2) return "";
+
+  const { left, right } = getComparisonDiff();
+  const picker = (side, value) => `<select class="option-input" onchange="setComparisonDiff('${side}', this.value)">
+      ${finished
+        .map(
+          ({ candidate, index }) =>
+            `<option value="${index}" ${index === value ? "selected" : ""}>${escapeHtml(MODEL_CATALOG[candidate.model].label)}</option>`
+        )
+        .join("")}
+    </select>`;
+
+  const lines = diffLines(
+    comparison.candidates[left].code,
+    comparison.candidates[right].code
+  )
+    .map(({ type, text }) => {
+      const marker = type === "add" ? "+" : type === "remove" ? "−" : " ";
+      return `<span class="diff-line diff-${type}">${marker} ${escapeHtml(text) || " "}</span>`;
+    })
+    .join("");
+
+  return `
+    <div class="bg-white border border-gray-200 rounded-xl p-4 shadow-sm mt-4">
+      <div class="flex items-center gap-2 mb-3">
+        <span class="text-xs font-bold text-gray-600 uppercase tracking-wider mr-2">Diff</span>
+        ${picker("left", left)}
+        <span class="text-xs text-gray-400">→</span>
+        ${picker("right", right)}
+      </div>
+      <pre class="diff-view code-font">${lines}</pre>
+    </div>
+  `;
+}
+
+function renderComparison() {
+  const container = document.getElementById("step2-compare");
+  if (!container) return;
+
+  const comparison = pipelineState.comparison;
+  if (!comparison) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const statusLabels = {
+    pending: "Waiting…",
+    generating: "Generating…",
+    auditing: "Auditing…",
+    failed: "Failed",
+  };
+
+  const cards = rankCandidates(comparison.candidates)
+    .map((index, rank) => {
+      const candidate = comparison.candidates[index];
+      const label = escapeHtml(MODEL_CATALOG[candidate.model].label);
+      const isWinner = comparison.winner === index;
+
+      let body;
+      if (candidate.status === "done") {
+        const counts = (candidate.report?.findings || []).reduce((acc, finding) => {
+          acc[finding.severity] = (acc[finding.severity] || 0) + 1;
+          return acc;
+        }, {});
+        const badges = ["critical", "severe", "warning"]
+          .filter((severity) => counts[severity])
+          .map(
+            (severity) =>
+              `<span class="px-1.5 py-0.5 rounded ${AUDIT_SEVERITY_STYLES[severity]}">${counts[severity]} ${severity}</span>`
+          )
+          .join(" ");
+        body = `
+          <div class="flex gap-1 text-xs mb-2 min-h-[1.25rem]">${badges}</div>
+          <pre class="compare-code code-font">${highlightCode(candidate.code)}</pre>
+          <button class="stage-action ${isWinner ? "primary" : ""} w-full mt-3" onclick="pickWinner(${index})" ${isWinner || pipelineState.isRunning ? "disabled" : ""}>
+            ${isWinner ? "✓ Final artifact" : "Use this"}
+          </button>`;
+      } else if (candidate.status === "failed") {
+        body = `<p class="text-sm text-red-600">${escapeHtml(candidate.error || "Unknown error")}</p>`;
+      } else {
+        body = `<div class="flex items-center gap-2 text-sm text-gray-500"><div class="w-2 h-2 bg-blue-500 rounded-full animate-pulse"></div>${statusLabels[candidate.status]}</div>`;
+      }
+
+      return `
+        <div class="compare-card ${isWinner ? "winner" : ""}">
+          <div class="flex items-center justify-between mb-2">
+            <span class="text-sm font-semibold text-gray-900">${candidate.status === "done" ? `#${rank + 1} ` : ""}${label}</span>
+            <span class="text-sm font-bold text-gray-700">${candidate.score ?? "–"}<span class="text-xs text-gray-400">/100</span></span>
+          </div>
+          ${body}
+        </div>`;
+    })
+    .join("");
+
+  container.innerHTML = `
+    <div class="compare-grid">${cards}</div>
+    ${renderComparisonDiff()}
+  `;
+}
+
+// --- BATCH MODE ---
+// Batch mode runs a list of requests through all three stages as a queue,
+// a few at a time. Items run headlessly with the stage models picked when
+// the batch starts; each one is saved to the run history like a normal run.
+
+const BATCH_CONCURRENCY_STORAGE_KEY = "ccc_batch_concurrency";
+const DEFAULT_BATCH_CONCURRENCY = 2;
+const MAX_BATCH_CONCURRENCY = 5;
+
+let batchState = {
+  items: [],
+  fileName: null,
+  isRunning: false,
+  abortController: null,
+};
+
+function getBatchConcurrency() {
+  const stored = Number(localStorage.getItem(BATCH_CONCURRENCY_STORAGE_KEY));
+  return Number.isInteger(stored) && stored >= 1
+    ? Math.min(stored, MAX_BATCH_CONCURRENCY)
+    : DEFAULT_BATCH_CONCURRENCY;
+}
+
+function saveBatchConcurrency(value) {
+  const concurrency = Math.round(Number(value));
+  if (concurrency >= 1 && concurrency <= MAX_BATCH_CONCURRENCY) {
+    localStorage.setItem(BATCH_CONCURRENCY_STORAGE_KEY, String(concurrency));
+  }
+  document.getElementById("batch-concurrency").value = getBatchConcurrency();
+}
+
+function createBatchItem(prompt) {
+  return {
+    prompt,
+    status: "pending",
+    models: null,
+    rulePack: null,
+    runId: null,
+    spec: null,
+    code: null,
+    audit: null,
+    report: null,
+    lintFindings: [],
+    packageFindings: [],
+    score: null,
+    usage: {},
+    cost: 0,
+    retries: 0,
+    error: null,
+  };
+}
+
+async function importBatchFile(file) {
+  if (batchState.isRunning) return;
+
+  try {
+    const requests = parseBatchRequests(await file.text(), file.name);
+    batchState.items = requests.map(createBatchItem);
+    batchState.fileName = file.name;
+  } catch (error) {
+    alert(`Could not read the batch file: ${error.message}`);
+    return;
+  }
+  showBatchView();
+}
+
+function initializeBatchMode() {
+  document.getElementById("batch-concurrency").value = getBatchConcurrency();
+
+  const input = document.getElementById("batch-file-input");
+  input?.addEventListener("change", () => {
+    const file = input.files[0];
+    input.value = "";
+    if (file) importBatchFile(file);
+  });
+  renderBatch();
+}
+
+// Run all three stages for one request, updating the item in place
+async function runBatchItem(item, signal) {
+  const models = item.models;
+  const callbacks = {
+    signal,
+    rulePack: item.rulePack,
+    onRetry() {
+      item.retries++;
+      renderBatch();
+    },
+  };
+  const onUsage = (step) => (usage) => {
+    const entry = addSessionUsage(usage);
+    item.usage[step] = [...(item.usage[step] || []), entry];
+    item.cost += entry.cost;
+    renderUsageSummary();
+    renderBatch();
+  };
+
+  const run = {
+    id: crypto.randomUUID(),
+    name: null,
+    pinned: false,
+    userInput: item.prompt,
+    selectedModel: models.generator,
+    stageModels: models,
+    attachments: [],
+    project: projectContext?.name || null,
+    batch: batchState.fileName,
+    rulePack: describeRulePack(item.rulePack),
+    status: "running",
+    createdAt: Date.now(),
+  };
+  item.runId = run.id;
+
+  try {
+    item.status = "architect";
+    renderBatch();
+    await saveRun(run, {});
+
+    const architect = await runArchitectWithRepair(item.prompt, {
+      ...callbacks,
+      onUsage: onUsage(1),
+      model: models.architect,
+      projectContext,
+    });
+    item.spec = architect.spec;
+    // Like the stage panels, hand the generator normalized JSON when it parsed
+    const step1Result = architect.spec
+      ? JSON.stringify(architect.spec, null, 2)
+      : architect.raw;
+    await saveRun(run, {
+      artifactName: architect.spec?.artifactName || null,
+      step1Result,
+      step1Spec: architect.spec,
+      specValidation: architect.specValidation,
+      step1CompletedAt: Date.now(),
+    });
+
+    item.status = "generating";
+    renderBatch();
+    item.code = extractCodeFromMarkdown(
+      await runCodeGenerator(step1Result, models.generator, {
+        ...callbacks,
+        onUsage: onUsage(2),
+      })
+    );
+    await saveRun(run, { step2Result: item.code, step2CompletedAt: Date.now() });
+
+    item.status = "auditing";
+    renderBatch();
+    item.lintFindings = lintDartCode(item.code, projectContext);
+    item.packageFindings = checkCodePackages(item.code, item.spec, packageCatalog);
+    item.audit = await runCodeDissector(item.code, {
+      ...callbacks,
+      onUsage: onUsage(3),
+      model: models.dissector,
+      projectContext,
+      packageFindings: item.packageFindings,
+    });
+    item.report = parseAuditReport(item.audit, { code: item.code });
+    item.score = getAuditScore(item.audit, item.report);
+    item.status = "done";
+
+    await saveRun(run, {
+      status: "completed",
+      step3Result: item.audit,
+      auditReport: item.report,
+      auditedCode: item.code,
+      lintFindings: item.lintFindings,
+      step3CompletedAt: Date.now(),
+      usage: item.usage,
+      completedAt: Date.now(),
+    });
+  } catch (error) {
+    const cancelled = isAbortError(error);
+    if (!cancelled) console.error(`Batch request failed: ${item.prompt}`, error);
+    item.status = cancelled ? "cancelled" : "failed";
+    item.error = cancelled ? null : error.message;
+    saveRun(run, {
+      status: item.status,
+      error: item.error,
+      usage: item.usage,
+      completedAt: Date.now(),
+    });
+  }
+  renderBatch();
+}
 
-// Extract code from markdown code blocks (strips ```dart ... ```)
-function extractCodeFromMarkdown(text) {
-  if (!text) return text;
+// Runs every item that hasn't finished yet, so running again after a
+// cancel or failures picks up the rest
+async function runBatch() {
+  if (batchState.isRunning) return;
+  if (pipelineState.isRunning) {
+    alert("Wait for the current pipeline run to finish first.");
+    return;
+  }
+
+  const queue = batchState.items.filter((item) => item.status !== "done");
+  if (queue.length === 0) {
+    alert(
+      batchState.items.length === 0
+        ? "Upload a list of requests first."
+        : "Every request in this batch has finished."
+    );
+    return;
+  }
+
+  // Batch requests always use the selected generator, even in compare mode
+  const missing = getStagesMissingKeys(1, 3, { compare: false });
+  if (missing.length > 0) {
+    alert(
+      "⚠️ Missing API keys:\n\n" +
+        missing
+          .map(({ label, provider }) => `• ${label} needs a ${PROVIDERS[provider].label} key`)
+          .join("\n")
+    );
+    openApiKeysModal();
+    return;
+  }
+
+  if (!checkBudgetBeforeRun()) return;
+
+  const models = getStageModels();
+  for (const item of queue) {
+    Object.assign(item, createBatchItem(item.prompt), { models, rulePack: activeRulePack });
+  }
+
+  batchState.isRunning = true;
+  batchState.abortController = new AbortController();
+  const { signal } = batchState.abortController;
+  showBatchView();
+
+  // A blocking budget stops the queue; calls already running finish
+  const budgetReached = () => {
+    const { limit, mode } = getBudgetSettings();
+    return mode === "block" && limit && sessionUsage.cost >= limit;
+  };
+
+  const worker = async () => {
+    while (queue.length > 0 && !signal.aborted) {
+      if (budgetReached()) {
+        queue.splice(0).forEach((item) => (item.status = "skipped"));
+        break;
+      }
+      await runBatchItem(queue.shift(), signal);
+    }
+  };
+
+  try {
+    await Promise.all(
+      Array.from({ length: Math.min(getBatchConcurrency(), queue.length) }, worker)
+    );
+  } finally {
+    queue.forEach((item) => (item.status = "cancelled"));
+    batchState.isRunning = false;
+    batchState.abortController = null;
+    renderBatch();
+  }
+
+  if (batchState.items.some((item) => item.status === "skipped")) {
+    alert("⚠️ Budget reached: the remaining requests were skipped.\n\nRaise the limit under Usage & Cost and run the batch again.");
+  }
+}
+
+function cancelBatch() {
+  batchState.abortController?.abort();
+}
+
+// One zip with spec, Dart file and audit per finished request
+function exportBatch() {
+  if (!batchState.items.some((item) => item.status === "done")) return;
+
+  const blob = new Blob([createZipArchive(buildBatchFiles(batchState.items))], {
+    type: "application/zip",
+  });
+  const baseName = (batchState.fileName || "batch").replace(/\.[^.]+$/, "");
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${baseName}-artifacts.zip`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function showBatchView() {
+  selectWorkflowStep(0);
+  document.getElementById("batch-view").classList.remove("hidden");
+  document.getElementById("stage-title").textContent = "Batch Run";
+  renderBatch();
+}
 
-  // Match ```language\n...code...\n``` pattern
-  const codeBlockRegex = /```(?:\w+)?\n?([\s\S]*?)```/;
-  const match = text.match(codeBlockRegex);
+function renderBatch() {
+  const { items, isRunning } = batchState;
+  const finished = items.filter((item) => item.status === "done").length;
+  const totalCost = items.reduce((sum, item) => sum + item.cost, 0);
 
-  if (match) {
-    return match[1].trim();
+  const info = document.getElementById("batch-info");
+  if (info) {
+    info.textContent = items.length
+      ? `${items.length} request${items.length === 1 ? "" : "s"} from ${batchState.fileName}`
+      : "Upload a CSV (a prompt column, or the first column), a JSON array, or a text file with one request per line.";
   }
+  const runButton = document.getElementById("btn-run-batch");
+  if (runButton) runButton.disabled = isRunning || items.length === 0;
+  document.getElementById("btn-cancel-batch")?.classList.toggle("hidden", !isRunning);
+  document.getElementById("btn-show-batch")?.classList.toggle("hidden", items.length === 0);
 
-  // If no code block found, return original text trimmed
-  return text.trim();
+  const container = document.getElementById("batch-table");
+  if (!container) return;
+
+  const statusLabels = {
+    pending: "Waiting",
+    architect: "Writing spec…",
+    generating: "Generating…",
+    auditing: "Auditing…",
+    done: "Done",
+    failed: "Failed",
+    cancelled: "Cancelled",
+    skipped: "Skipped (budget)",
+  };
+  const statusStyles = {
+    done: "text-green-700",
+    failed: "text-red-600",
+    cancelled: "text-gray-400",
+    skipped: "text-amber-600",
+  };
+
+  const rows = items
+    .map((item, index) => {
+      const active = ["architect", "generating", "auditing"].includes(item.status);
+      const critical = (item.report?.findings || []).filter(
+        (finding) => finding.severity === "critical"
+      ).length;
+      return `<tr class="border-t border-gray-100 align-top">
+        <td class="py-2 pr-3 text-gray-400">${index + 1}</td>
+        <td class="py-2 pr-3 text-gray-800">
+          <div class="batch-prompt" title="${escapeHtml(item.prompt)}">${escapeHtml(item.prompt)}</div>
+          ${item.spec?.artifactName ? `<div class="text-xs text-gray-500 mt-0.5">${escapeHtml(item.spec.artifactName)} · ${escapeHtml(item.spec.artifactType || "")}</div>` : ""}
+          ${item.error ? `<div class="text-xs text-red-600 mt-0.5">${escapeHtml(item.error)}</div>` : ""}
+        </td>
+        <td class="py-2 pr-3 whitespace-nowrap ${statusStyles[item.status] || "text-gray-600"}">
+          ${active ? '<span class="inline-block w-2 h-2 bg-blue-500 rounded-full animate-pulse mr-1"></span>' : ""}${statusLabels[item.status]}${item.retries ? ` <span class="text-xs text-amber-600">(${item.retries} retr${item.retries === 1 ? "y" : "ies"})</span>` : ""}
+        </td>
+        <td class="py-2 pr-3 text-right whitespace-nowrap">${item.score ?? "–"}${critical ? ` <span class="text-xs px-1.5 py-0.5 rounded ${AUDIT_SEVERITY_STYLES.critical}">${critical} critical</span>` : ""}</td>
+        <td class="py-2 pr-3 text-right whitespace-nowrap">${item.cost ? formatCost(item.cost) : "–"}</td>
+        <td class="py-2 text-right">
+          ${item.runId && !active ? `<button class="stage-action" onclick="restoreRun('${escapeHtml(item.runId)}')" ${pipelineState.isRunning ? "disabled" : ""}>Open</button>` : ""}
+        </td>
+      </tr>`;
+    })
+    .join("");
+
+  container.innerHTML = items.length
+    ? `
+    <div class="flex items-center justify-between mb-4">
+      <div class="text-sm text-gray-600">
+        ${finished} of ${items.length} done · ${formatCost(totalCost)} · ${getBatchConcurrency()} at a time
+      </div>
+      <button class="stage-action primary" onclick="exportBatch()" ${finished === 0 ? "disabled" : ""}>Export all (.zip)</button>
+    </div>
+    <table class="w-full text-sm">
+      <thead>
+        <tr class="text-xs text-gray-400 text-left">
+          <th class="font-normal pb-2">#</th>
+          <th class="font-normal pb-2">Request</th>
+          <th class="font-normal pb-2">Status</th>
+          <th class="font-normal pb-2 text-right pr-3">Score</th>
+          <th class="font-normal pb-2 text-right pr-3">Cost</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`
+    : "";
 }
 
+
+// --- SYNTAX HIGHLIGHTING ---
+
 function highlightCode(code, language = "dart") {
   if (!code) return "";
   try {
@@ -1757,7 +4498,7 @@ function highlightCode(code, language = "dart") {
     return hljs.highlight(cleanCode, { language: language }).value;
   } catch (error) {
     console.warn("Syntax highlighting failed:", error);
-    return extractCodeFromMarkdown(code) || "";
+    return escapeHtml(extractCodeFromMarkdown(code) || "");
   }
 }
 
@@ -1773,6 +4514,25 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Initialize welcome video
   initializeWelcomeVideo();
 
+  // Load saved runs into the history sidebar
+  loadRunHistory();
+
+  // Drag-and-drop / paste of design mockups
+  initializeAttachments();
+
+  // Per-stage model selectors (before keys, so the local model label applies)
+  initializeStageModelSelects();
+  initializeProjectImport();
+  initializePackageCatalog();
+  initializeBatchMode();
+  initializeRulePacks();
+
+  // Token usage, budget and price table
+  initializeUsagePanel();
+
+  // Passphrase vault: lock indicator and idle auto-lock
+  initializeVault();
+
   // Initialize API keys and check connection
   await checkConnection();
 });
@@ -1834,7 +4594,45 @@ window.toggleStep = toggleStep;
 window.toggleSection = toggleSection;
 window.selectWorkflowStep = selectWorkflowStep;
 window.copyCode = copyCode;
-window.retryWithDifferentModel = retryWithDifferentModel;
+window.pickWinner = pickWinner;
+window.setComparisonDiff = setComparisonDiff;
+window.saveCompareModels = saveCompareModels;
+window.toggleCompareMode = toggleCompareMode;
+window.runBatch = runBatch;
+window.cancelBatch = cancelBatch;
+window.exportBatch = exportBatch;
+window.showBatchView = showBatchView;
+window.saveBatchConcurrency = saveBatchConcurrency;
+window.openRulesModal = openRulesModal;
+window.closeRulesModal = closeRulesModal;
+window.updateRuleDraft = updateRuleDraft;
+window.toggleRuleSection = toggleRuleSection;
+window.resetRuleSection = resetRuleSection;
+window.addRuleSection = addRuleSection;
+window.removeRuleSection = removeRuleSection;
+window.saveRules = saveRules;
+window.resetAllRules = resetAllRules;
+window.exportRulePack = exportRulePack;
+window.clearProjectContext = clearProjectContext;
+window.resetPackageCatalog = resetPackageCatalog;
+window.runVaultAction = runVaultAction;
+window.saveVaultIdleMinutes = saveVaultIdleMinutes;
+window.showRepairIteration = showRepairIteration;
+window.continuePipeline = continuePipeline;
+window.cancelPipeline = cancelPipeline;
+window.setAuditView = setAuditView;
+window.showCodeLine = showCodeLine;
+window.updateModelPrice = updateModelPrice;
+window.resetModelPrices = resetModelPrices;
+window.saveBudgetSettings = saveBudgetSettings;
+window.removeAttachment = removeAttachment;
+window.rerunStage = rerunStage;
+window.validateSpecEditor = validateSpecEditor;
+window.renderRunHistory = renderRunHistory;
+window.restoreRun = restoreRun;
+window.renameRun = renameRun;
+window.toggleRunPinned = toggleRunPinned;
+window.deleteRun = deleteRun;
 window.openApiKeysModal = openApiKeysModal;
 window.closeApiKeysModal = closeApiKeysModal;
 window.saveApiKeys = saveApiKeys;
@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+// Headless pipeline: runs the same three stages as the app and writes the
+// spec, the Dart file and the audit to disk.
+//
+//   ccc generate "radial gauge with zones" --generator claude --out ./lib/custom_code
+//
+// Keys come from GEMINI_API_KEY, ANTHROPIC_API_KEY and OPENAI_API_KEY (the
+// same variables the proxies read); a local OpenAI-compatible server is set
+// with CCC_LOCAL_BASE_URL, CCC_LOCAL_MODEL, CCC_LOCAL_PROTOCOL and
+// CCC_LOCAL_API_KEY. Exit codes: 0 ok, 1 the audit found critical issues,
+// 2 usage or pipeline error, 130 interrupted.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { MODEL_CATALOG, PIPELINE_STAGES } from "../src/models.js";
+import { configureProviders, isAbortError } from "../src/providers.js";
+import { runArchitectWithRepair, runCodeGenerator, runCodeDissector } from "../src/pipeline.js";
+import { formatSpecErrors } from "../src/spec.js";
+import { lintDartCode } from "../src/lint.js";
+import { checkCodePackages, isPackageCatalog } from "../src/packages.js";
+import { parseAuditReport, computeAuditScore, getAuditScore, buildAuditDocument } from "../src/audit.js";
+import { buildProjectContext, getProjectFileKind, readZipEntries } from "../src/project.js";
+import { parseRuleOverrides, resolveRulePack, formatRulePackVersion } from "../src/rules.js";
+import { extractCodeFromMarkdown, toDartFileName } from "../src/text.js";
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DEFAULT_CATALOG_PATH = path.join(ROOT_DIR, "public", "package-catalog.json");
+
+const EXIT_OK = 0;
+const EXIT_CRITICAL = 1;
+const EXIT_ERROR = 2;
+const EXIT_INTERRUPTED = 130;
+
+// Provider names accepted in place of a catalog key
+const MODEL_ALIASES = {
+  gemini: "gemini-3.0-pro",
+  claude: "claude-4.5-opus",
+  anthropic: "claude-4.5-opus",
+  openai: "gpt-5.1-codex-max",
+  gpt: "gpt-5.1-codex-max",
+};
+
+const SERVER_KEY_ENV = {
+  gemini: "GEMINI_API_KEY",
+  anthropic: "ANTHROPIC_API_KEY",
+  openai: "OPENAI_API_KEY",
+};
+
+const USAGE = `Usage: ccc generate "<request>" [options]
+
+Runs Prompt Architect -> Code Generator -> Code Dissector and writes
+<name>.spec.json, <name>.dart and <name>.audit.md.
+
+Options:
+  --architect <model>   Model for step 1 (default: ${PIPELINE_STAGES.architect.defaultModel})
+  --generator <model>   Model for step 2 (default: ${PIPELINE_STAGES.generator.defaultModel})
+  --dissector <model>   Model for step 3 (default: ${PIPELINE_STAGES.dissector.defaultModel})
+  --out <dir>           Output directory (default: current directory)
+  --name <file>         Base file name (default: the artifact name in snake_case)
+  --project <path>      FlutterFlow code export (zip or folder) to check names against
+  --catalog <file>      Package catalog JSON (default: public/package-catalog.json)
+  --rules <file>        Team rule pack JSON exported from the app (default: built-in rules)
+  -h, --help            Show this help
+
+Models: ${Object.keys(MODEL_CATALOG).join(", ")}
+Aliases: ${Object.keys(MODEL_ALIASES).join(", ")}
+
+Keys: ${Object.values(SERVER_KEY_ENV).join(", ")}; local models use
+CCC_LOCAL_BASE_URL, CCC_LOCAL_MODEL, CCC_LOCAL_PROTOCOL, CCC_LOCAL_API_KEY.`;
+
+// Usage mistakes print the help text and exit with EXIT_ERROR
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// Progress goes to stderr so stdout stays a clean summary for scripts
+function log(message) {
+  process.stderr.write(`${message}\n`);
+}
+
+function resolveModel(value, stage) {
+  const key = MODEL_ALIASES[value?.toLowerCase()] || value || PIPELINE_STAGES[stage].defaultModel;
+  if (!MODEL_CATALOG[key]) {
+    throw new UsageError(`Unknown model "${value}" for --${stage}.`);
+  }
+  return key;
+}
+
+function getLocalEndpoint() {
+  return {
+    baseUrl: (process.env.CCC_LOCAL_BASE_URL || "").trim().replace(/\/+$/, ""),
+    protocol: process.env.CCC_LOCAL_PROTOCOL === "responses" ? "responses" : "chat",
+    model: (process.env.CCC_LOCAL_MODEL || "").trim(),
+    apiKey: (process.env.CCC_LOCAL_API_KEY || "").trim(),
+  };
+}
+
+function getApiKey(provider) {
+  return (process.env[SERVER_KEY_ENV[provider]] || "").trim();
+}
+
+// Name of the missing environment variable for a model, or null
+function getMissingKey(modelKey) {
+  const { provider } = MODEL_CATALOG[modelKey];
+  if (provider === "local") {
+    const endpoint = getLocalEndpoint();
+    return endpoint.baseUrl && endpoint.model ? null : "CCC_LOCAL_BASE_URL and CCC_LOCAL_MODEL";
+  }
+  return getApiKey(provider) ? null : SERVER_KEY_ENV[provider];
+}
+
+async function loadPackageCatalog(catalogPath) {
+  const catalog = JSON.parse(await fs.readFile(catalogPath, "utf8"));
+  if (!isPackageCatalog(catalog)) {
+    throw new UsageError(`${catalogPath} is not a package catalog.`);
+  }
+  return catalog;
+}
+
+// A team layer over the built-in FlutterFlow rules, as exported by the app
+async function loadRulePack(rulesPath) {
+  if (!rulesPath) return resolveRulePack();
+  const data = JSON.parse(await fs.readFile(rulesPath, "utf8"));
+  try {
+    return resolveRulePack(parseRuleOverrides(data));
+  } catch (error) {
+    throw new UsageError(`${rulesPath} is not a usable rule pack: ${error.message}`);
+  }
+}
+
+async function listProjectFiles(dir, base = dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listProjectFiles(fullPath, base)));
+    } else if (getProjectFileKind(path.relative(base, fullPath))) {
+      files.push({ path: path.relative(base, fullPath), text: await fs.readFile(fullPath, "utf8") });
+    }
+  }
+  return files;
+}
+
+async function loadProjectContext(projectPath) {
+  const stat = await fs.stat(projectPath);
+  if (stat.isDirectory()) {
+    return buildProjectContext(path.basename(path.resolve(projectPath)), await listProjectFiles(projectPath));
+  }
+  const file = new File([await fs.readFile(projectPath)], path.basename(projectPath));
+  const entries = await readZipEntries(file, (entryPath) => getProjectFileKind(entryPath) !== null);
+  return buildProjectContext(file.name.replace(/\.zip$/i, ""), entries);
+}
+
+// Streaming keeps long generations clear of HTTP idle timeouts; the text
+// itself is only needed once the call returns
+function createStageCallbacks(label, signal, usage) {
+  return {
+    signal,
+    onChunk: () => {},
+    onRetry: ({ attempt, maxRetries, delayMs, error }) =>
+      log(`  ${label}: ${error.message}, retrying in ${Math.round(delayMs / 1000)}s (${attempt}/${maxRetries})`),
+    onUsage: (entry) => usage.push(entry),
+  };
+}
+
+// A spec that still has errors after the repair round is used anyway, as
+// in the app; without any JSON spec there is nothing to generate from
+async function generateSpec(userInput, options) {
+  const { spec, specValidation } = await runArchitectWithRepair(userInput, {
+    ...options,
+    onRepair: (errors) => log(`  Spec failed validation, asking for a repair:\n${formatSpecErrors(errors)}`),
+  });
+
+  if (!spec) {
+    throw new Error(`The architect did not return a JSON spec:\n${formatSpecErrors(specValidation.errors)}`);
+  }
+  if (specValidation.errors.length > 0) {
+    log(`  Continuing with ${specValidation.errors.length} spec validation error(s).`);
+  }
+  return spec;
+}
+
+async function runGenerate(userInput, flags, signal) {
+  const models = {
+    architect: resolveModel(flags.architect, "architect"),
+    generator: resolveModel(flags.generator, "generator"),
+    dissector: resolveModel(flags.dissector, "dissector"),
+  };
+
+  const missing = [...new Set(Object.values(models).map(getMissingKey).filter(Boolean))];
+  if (missing.length > 0) {
+    throw new UsageError(`Missing API key: set ${missing.join(", ")}.`);
+  }
+
+  configureProviders({
+    baseUrls: {
+      gemini: "https://generativelanguage.googleapis.com",
+      anthropic: "https://api.anthropic.com",
+      openai: "https://api.openai.com",
+    },
+    direct: true,
+    getApiKey,
+    getLocalEndpoint,
+  });
+
+  const catalog = await loadPackageCatalog(flags.catalog || DEFAULT_CATALOG_PATH);
+  const rulePack = await loadRulePack(flags.rules);
+  const projectContext = flags.project ? await loadProjectContext(flags.project) : null;
+  if (projectContext) {
+    log(`Project: ${projectContext.name} (${projectContext.structs.length} Data Types)`);
+  }
+
+  const usage = [];
+  log(`Rules: ${formatRulePackVersion(rulePack)}`);
+
+  log(`Step 1/3: Prompt Architect (${MODEL_CATALOG[models.architect].label})`);
+  const spec = await generateSpec(userInput, {
+    ...createStageCallbacks("Architect", signal, usage),
+    model: models.architect,
+    projectContext,
+    rulePack,
+  });
+  const specJson = JSON.stringify(spec, null, 2);
+
+  log(`Step 2/3: Code Generator (${MODEL_CATALOG[models.generator].label})`);
+  const code = extractCodeFromMarkdown(
+    await runCodeGenerator(specJson, models.generator, {
+      ...createStageCallbacks("Generator", signal, usage),
+      rulePack,
+    })
+  );
+
+  log(`Step 3/3: Code Dissector (${MODEL_CATALOG[models.dissector].label})`);
+  const lintFindings = lintDartCode(code, projectContext);
+  const packageFindings = checkCodePackages(code, spec, catalog);
+  const auditRaw = await runCodeDissector(code, {
+    ...createStageCallbacks("Dissector", signal, usage),
+    model: models.dissector,
+    projectContext,
+    packageFindings,
+    rulePack,
+  });
+  const report = parseAuditReport(auditRaw, { code });
+  if (!report) log("  The dissector reply was not a JSON report; writing it as markdown.");
+
+  const outDir = path.resolve(flags.out || ".");
+  const baseName = flags.name || toDartFileName(spec.artifactName);
+  const files = {
+    spec: path.join(outDir, `${baseName}.spec.json`),
+    code: path.join(outDir, `${baseName}.dart`),
+    audit: path.join(outDir, `${baseName}.audit.md`),
+  };
+  await fs.mkdir(outDir, { recursive: true });
+  await fs.writeFile(files.spec, specJson + "\n");
+  await fs.writeFile(files.code, code + "\n");
+  await fs.writeFile(
+    files.audit,
+    buildAuditDocument({ spec, models, rulePack, auditRaw, report, lintFindings, packageFindings })
+  );
+
+  // Unstructured audits can only say "critical" through a zero score
+  const score = getAuditScore(auditRaw, report);
+  const breakdown = report ? computeAuditScore(report) : null;
+  const auditCritical = breakdown ? breakdown.critical : score === 0 ? 1 : 0;
+  const lintCritical = lintFindings.filter((finding) => finding.severity === "critical").length;
+  const tokens = usage.reduce((sum, entry) => sum + entry.inputTokens + entry.outputTokens, 0);
+
+  console.log(`${spec.artifactName || baseName}: score ${score ?? "unknown"}/100`);
+  console.log(`  critical issues: ${auditCritical} from the audit, ${lintCritical} from static lint`);
+  if (breakdown?.unclassified) {
+    console.log(`  unclassified findings (not scored): ${breakdown.unclassified}, see ${files.audit}`);
+  }
+  console.log(`  tokens: ${tokens}`);
+  Object.values(files).forEach((file) => console.log(`  wrote ${file}`));
+
+  return auditCritical + lintCritical > 0 ? EXIT_CRITICAL : EXIT_OK;
+}
+
+async function main(argv) {
+  const { values: flags, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      architect: { type: "string" },
+      generator: { type: "string" },
+      dissector: { type: "string" },
+      out: { type: "string" },
+      name: { type: "string" },
+      project: { type: "string" },
+      catalog: { type: "string" },
+      rules: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command, ...rest] = positionals;
+  if (flags.help || !command) {
+    console.log(USAGE);
+    return flags.help ? EXIT_OK : EXIT_ERROR;
+  }
+  if (command !== "generate") throw new UsageError(`Unknown command "${command}".`);
+
+  const userInput = rest.join(" ").trim();
+  if (!userInput) throw new UsageError("Describe what to generate, e.g. ccc generate \"radial gauge with zones\".");
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    log("Interrupted, cancelling the running call...");
+    controller.abort();
+  });
+
+  return runGenerate(userInput, flags, controller.signal);
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    if (isAbortError(error)) {
+      process.exitCode = EXIT_INTERRUPTED;
+      return;
+    }
+    // parseArgs reports unknown flags with ERR_PARSE_ARGS_* codes
+    if (error instanceof UsageError || error.code?.startsWith("ERR_PARSE_ARGS")) {
+      log(`${error.message}\n\n${USAGE}`);
+    } else {
+      log(`Error: ${error.message}`);
+    }
+    process.exitCode = EXIT_ERROR;
+  });
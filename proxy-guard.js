@@ -0,0 +1,326 @@
+// Safeguards shared by the vite dev proxy (vite.config.js) and the Node
+// production server (server.js). Once a server-side key is configured anyone
+// who can reach /api/<provider> could spend it, so every proxied request has
+// to pass an origin check, the path and model allowlists, a body size cap and
+// per-IP / per-key rate limits before it is forwarded. The PHP proxies have a
+// port of these checks in public/api/proxy-utils.php.
+//
+// Environment (all optional):
+//   CCC_ALLOWED_ORIGINS          comma-separated origins besides the app's own ("*" = any)
+//   CCC_ALLOWED_MODELS           comma-separated upstream model ids (default: the catalog in src/models.js)
+//   CCC_MAX_BODY_BYTES           request body cap (default 8 MB)
+//   CCC_RATE_LIMIT_IP_REQUESTS   requests per minute per client IP (default 30, 0 = off)
+//   CCC_RATE_LIMIT_KEY_REQUESTS  requests per minute per API key (default 60, 0 = off)
+//   CCC_RATE_LIMIT_IP_TOKENS     estimated tokens per minute per client IP (default 300000, 0 = off)
+//   CCC_RATE_LIMIT_KEY_TOKENS    estimated tokens per minute per API key (default 600000, 0 = off)
+//   CCC_TRUST_PROXY              "1" to take the client IP and host from X-Forwarded-For/-Host
+
+import { createHash } from "node:crypto";
+import { MODEL_CATALOG } from "./src/models.js";
+
+// Upstream model ids the app's catalog uses (local models never pass the
+// proxy). The build writes the same list to api/allowed-models.json for the
+// PHP proxies (see vite.config.js).
+export const DEFAULT_ALLOWED_MODELS = Object.values(MODEL_CATALOG)
+  .map((model) => model.apiModel)
+  .filter(Boolean);
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Output budget assumed when a request doesn't state its own
+const DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+// Rejection carrying the HTTP status and a stable code the UI can show
+export class ProxyGuardError extends Error {
+  constructor(status, code, message, retryAfterSeconds = null) {
+    super(message);
+    this.name = "ProxyGuardError";
+    this.status = status;
+    this.code = code;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// --- PROVIDER RULES ---
+// Allowed upstream paths, where the browser key travels and where the model
+// and output budget are found in each provider's request
+export const PROXY_PROVIDERS = {
+  gemini: {
+    label: "Gemini",
+    paths: [/^v1beta\/models\/([\w.-]+):(?:generateContent|streamGenerateContent)$/],
+    getKey: (headers, query) => query?.get("key") || headers["x-goog-api-key"] || "",
+    getModel: (pathMatch) => pathMatch[1],
+    getMaxOutputTokens: (body) => body.generationConfig?.maxOutputTokens,
+  },
+  anthropic: {
+    label: "Anthropic",
+    paths: [/^v1\/messages$/],
+    getKey: (headers) => headers["x-api-key"] || "",
+    getModel: (pathMatch, body) => body.model,
+    getMaxOutputTokens: (body) => body.max_tokens,
+  },
+  openai: {
+    label: "OpenAI",
+    paths: [/^v1\/responses$/],
+    // A custom header avoids WAFs that block Authorization, as in openai-proxy.php
+    getKey: (headers) => {
+      if (headers["x-openai-api-key"]) return headers["x-openai-api-key"];
+      const authorization = headers.authorization || "";
+      return authorization.startsWith("Bearer ") ? authorization.slice(7) : "";
+    },
+    getModel: (pathMatch, body) => body.model,
+    getMaxOutputTokens: (body) => body.max_output_tokens,
+  },
+};
+
+export const PROXY_PATH_PATTERN = /^\/api\/(gemini|anthropic|openai)(?:\/([^?]*))?(?:\?.*)?$/;
+
+// --- CONFIGURATION ---
+function readList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function readLimit(env, name, fallback) {
+  const value = Number(env[name]);
+  return env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+export function loadProxyGuardConfig(env = process.env) {
+  const allowedModels = readList(env.CCC_ALLOWED_MODELS);
+  return {
+    allowedOrigins: new Set(readList(env.CCC_ALLOWED_ORIGINS).map((origin) => origin.replace(/\/+$/, ""))),
+    allowedModels: new Set(allowedModels.length > 0 ? allowedModels : DEFAULT_ALLOWED_MODELS),
+    maxBodyBytes: readLimit(env, "CCC_MAX_BODY_BYTES", 8 * 1024 * 1024),
+    limits: {
+      ipRequests: readLimit(env, "CCC_RATE_LIMIT_IP_REQUESTS", 30),
+      keyRequests: readLimit(env, "CCC_RATE_LIMIT_KEY_REQUESTS", 60),
+      ipTokens: readLimit(env, "CCC_RATE_LIMIT_IP_TOKENS", 300000),
+      keyTokens: readLimit(env, "CCC_RATE_LIMIT_KEY_TOKENS", 600000),
+    },
+    trustProxy: env.CCC_TRUST_PROXY === "1",
+  };
+}
+
+// --- RATE LIMITS ---
+// Fixed one-minute windows. A request is counted against all of its buckets or
+// none, so a rejected request doesn't use up the budget of the others.
+function createRateLimiter() {
+  const windows = new Map();
+
+  const getWindow = (bucket, now) => {
+    let window = windows.get(bucket);
+    if (!window || now - window.startedAt >= RATE_LIMIT_WINDOW_MS) {
+      window = { startedAt: now, requests: 0, tokens: 0 };
+      windows.set(bucket, window);
+    }
+    return window;
+  };
+
+  // Forget finished windows so idle clients don't accumulate
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [bucket, window] of windows) {
+      if (now - window.startedAt >= RATE_LIMIT_WINDOW_MS) windows.delete(bucket);
+    }
+  }, RATE_LIMIT_WINDOW_MS);
+  sweepTimer.unref?.();
+
+  // checks: [{ bucket, label, maxRequests, maxTokens }]
+  const take = (checks, tokens, now = Date.now()) => {
+    for (const check of checks) {
+      if (check.maxTokens && tokens > check.maxTokens) {
+        throw new ProxyGuardError(
+          413,
+          "token_limit_exceeded",
+          `This request needs about ${tokens} tokens, more than the ${check.label} limit of ${check.maxTokens} tokens per minute.`
+        );
+      }
+
+      const window = getWindow(check.bucket, now);
+      const retryAfterSeconds = Math.ceil((window.startedAt + RATE_LIMIT_WINDOW_MS - now) / 1000);
+
+      if (check.maxRequests && window.requests + 1 > check.maxRequests) {
+        throw new ProxyGuardError(
+          429,
+          "rate_limited",
+          `Too many requests: the ${check.label} limit is ${check.maxRequests} per minute. Try again in ${retryAfterSeconds}s.`,
+          retryAfterSeconds
+        );
+      }
+      if (check.maxTokens && window.tokens + tokens > check.maxTokens) {
+        throw new ProxyGuardError(
+          429,
+          "token_rate_limited",
+          `Token budget used up: the ${check.label} limit is ${check.maxTokens} tokens per minute. Try again in ${retryAfterSeconds}s.`,
+          retryAfterSeconds
+        );
+      }
+    }
+
+    for (const check of checks) {
+      const window = getWindow(check.bucket, now);
+      window.requests += 1;
+      window.tokens += tokens;
+    }
+  };
+
+  return { take };
+}
+
+// Keys are only ever held as a short hash, never logged or stored in clear
+function hashKey(apiKey) {
+  return createHash("sha256").update(apiKey).digest("hex").slice(0, 16);
+}
+
+// --- REQUEST CHECKS ---
+function getClientIp(req, trustProxy) {
+  if (trustProxy) {
+    const forwarded = String(req.headers["x-forwarded-for"] || "").split(",")[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket?.remoteAddress || "unknown";
+}
+
+function getRequestOrigin(headers) {
+  if (headers.origin && headers.origin !== "null") return headers.origin;
+  try {
+    return headers.referer ? new URL(headers.referer).origin : "";
+  } catch {
+    return "";
+  }
+}
+
+// Input tokens are estimated from the body size (~4 bytes per token), output
+// from the request's own max tokens setting
+function estimateTokens(bodyText, maxOutputTokens) {
+  return Math.ceil(bodyText.length / 4) + (Number(maxOutputTokens) || DEFAULT_MAX_OUTPUT_TOKENS);
+}
+
+export function createProxyGuard(config = loadProxyGuardConfig()) {
+  const rateLimiter = createRateLimiter();
+
+  function checkOrigin(req) {
+    if (config.allowedOrigins.has("*")) return;
+
+    const origin = getRequestOrigin(req.headers);
+    if (!origin) {
+      throw new ProxyGuardError(403, "origin_required", "Requests must come from the app (no Origin or Referer header).");
+    }
+
+    // The app's own origin is always allowed, whatever host it's served on.
+    // X-Forwarded-Host is client-controlled unless a trusted proxy sets it.
+    const host = (config.trustProxy && req.headers["x-forwarded-host"]) || req.headers.host;
+    let originHost = "";
+    try {
+      originHost = new URL(origin).host;
+    } catch {
+      // Unparseable origins fall through to the allowlist
+    }
+    if (originHost && originHost === host) return;
+    if (config.allowedOrigins.has(origin)) return;
+
+    throw new ProxyGuardError(403, "origin_not_allowed", `Origin ${origin} is not allowed to use this proxy.`);
+  }
+
+  // Validate a proxied request and count it against the rate limits.
+  // Returns the model and token estimate for logging.
+  function checkRequest({ req, provider, path, query, body, serverKey }) {
+    const rules = PROXY_PROVIDERS[provider];
+    checkOrigin(req);
+
+    if (req.method !== "POST") {
+      throw new ProxyGuardError(405, "method_not_allowed", `Only POST requests are proxied to ${rules.label}.`);
+    }
+
+    const pathMatch = rules.paths.map((pattern) => path.match(pattern)).find(Boolean);
+    if (!pathMatch) {
+      throw new ProxyGuardError(403, "path_not_allowed", `The ${rules.label} path "${path}" is not allowed by this proxy.`);
+    }
+
+    if (config.maxBodyBytes && body.length > config.maxBodyBytes) {
+      throw new ProxyGuardError(413, "body_too_large", `Request body exceeds the ${config.maxBodyBytes} byte limit.`);
+    }
+
+    const bodyText = body.toString("utf8");
+    let payload;
+    try {
+      payload = JSON.parse(bodyText);
+    } catch {
+      throw new ProxyGuardError(400, "invalid_json", "Request body must be JSON.");
+    }
+
+    const model = rules.getModel(pathMatch, payload || {});
+    if (!config.allowedModels.has(model)) {
+      throw new ProxyGuardError(403, "model_not_allowed", `Model "${model}" is not on this proxy's allowlist.`);
+    }
+
+    const apiKey = rules.getKey(req.headers, query) || serverKey || "";
+    const tokens = estimateTokens(bodyText, rules.getMaxOutputTokens(payload || {}));
+    const { limits } = config;
+
+    const checks = [
+      {
+        bucket: `ip:${getClientIp(req, config.trustProxy)}`,
+        label: "per-IP",
+        maxRequests: limits.ipRequests,
+        maxTokens: limits.ipTokens,
+      },
+    ];
+    if (apiKey) {
+      checks.push({
+        bucket: `key:${hashKey(apiKey)}`,
+        label: "per-key",
+        maxRequests: limits.keyRequests,
+        maxTokens: limits.keyTokens,
+      });
+    }
+    rateLimiter.take(checks, tokens);
+
+    return { model, tokens };
+  }
+
+  return { config, checkRequest };
+}
+
+// Read the whole request body, stopping as soon as it passes the cap
+export function readLimitedBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers["content-length"]);
+    if (maxBytes && declared > maxBytes) {
+      reject(new ProxyGuardError(413, "body_too_large", `Request body exceeds the ${maxBytes} byte limit.`));
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) {
+        reject(new ProxyGuardError(413, "body_too_large", `Request body exceeds the ${maxBytes} byte limit.`));
+        req.removeAllListeners("data");
+        req.resume();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+// JSON error the app recognises by the X-CCC-Proxy-Error header
+export function sendProxyGuardError(res, error) {
+  const headers = {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    "X-CCC-Proxy-Error": error.code,
+  };
+  if (error.retryAfterSeconds != null) headers["Retry-After"] = String(error.retryAfterSeconds);
+
+  res.writeHead(error.status, headers);
+  res.end(JSON.stringify({ error: error.message, code: error.code }));
+}
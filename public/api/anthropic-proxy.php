@@ -22,9 +22,11 @@ foreach ($incomingHeaders as $name => $value) {
 }
 
 if ($apiKey === '') {
-  $apiKey = getenv('ANTHROPIC_API_KEY') ?: '';
+  $apiKey = ccc_server_key('anthropic');
 }
 
+$rawBody = ccc_guard_request('anthropic', $path, $incomingHeaders, $apiKey);
+
 if ($apiKey === '') {
   ccc_json_error(401, 'Anthropic API key is not configured');
 }
@@ -48,4 +50,4 @@ if (!$hasVersion) {
 $targetUrl = 'https://api.anthropic.com/' . $path;
 $outgoingHeaders = ccc_filter_incoming_headers($incomingHeaders, $overrides);
 
-ccc_forward_request($targetUrl, $outgoingHeaders);
+ccc_forward_request($targetUrl, $outgoingHeaders, $rawBody);
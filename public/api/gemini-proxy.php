@@ -26,9 +26,11 @@ if (isset($_GET['key']) && is_string($_GET['key'])) {
 }
 
 if ($apiKey === '') {
-  $apiKey = getenv('GEMINI_API_KEY') ?: '';
+  $apiKey = ccc_server_key('gemini');
 }
 
+$rawBody = ccc_guard_request('gemini', $path, $incomingHeaders, $apiKey);
+
 if ($apiKey === '') {
   ccc_json_error(401, 'Gemini API key is not configured');
 }
@@ -43,4 +45,4 @@ $targetUrl = 'https://generativelanguage.googleapis.com/' . $path . ($queryStrin
 
 $outgoingHeaders = ccc_filter_incoming_headers($incomingHeaders, []);
 
-ccc_forward_request($targetUrl, $outgoingHeaders);
+ccc_forward_request($targetUrl, $outgoingHeaders, $rawBody);
@@ -37,9 +37,11 @@ if ($apiKey === '') {
 
 // Fallback to environment variable
 if ($apiKey === '') {
-  $apiKey = getenv('OPENAI_API_KEY') ?: '';
+  $apiKey = ccc_server_key('openai');
 }
 
+$rawBody = ccc_guard_request('openai', $path, $incomingHeaders, $apiKey);
+
 if ($apiKey === '') {
   ccc_json_error(401, 'OpenAI API key is not configured');
 }
@@ -51,4 +53,4 @@ $overrides = [
 $targetUrl = 'https://api.openai.com/' . $path;
 $outgoingHeaders = ccc_filter_incoming_headers($incomingHeaders, $overrides);
 
-ccc_forward_request($targetUrl, $outgoingHeaders);
+ccc_forward_request($targetUrl, $outgoingHeaders, $rawBody);
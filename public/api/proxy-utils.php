@@ -2,6 +2,30 @@
 
 declare(strict_types=1);
 
+// Environment variables holding the server-side key for each provider
+const CCC_SERVER_KEY_ENV = [
+  'gemini' => 'GEMINI_API_KEY',
+  'anthropic' => 'ANTHROPIC_API_KEY',
+  'openai' => 'OPENAI_API_KEY',
+];
+
+function ccc_server_key(string $provider): string {
+  $name = CCC_SERVER_KEY_ENV[$provider] ?? '';
+  if ($name === '') return '';
+
+  $value = getenv($name);
+  return is_string($value) ? trim($value) : '';
+}
+
+// Which providers have a server-side key, without revealing the keys
+function ccc_server_key_status(): array {
+  $status = [];
+  foreach (array_keys(CCC_SERVER_KEY_ENV) as $provider) {
+    $status[$provider] = ccc_server_key($provider) !== '';
+  }
+  return $status;
+}
+
 function ccc_get_request_headers(): array {
   if (function_exists('getallheaders')) {
     $headers = getallheaders();
@@ -46,39 +70,8 @@ function ccc_build_query_string(array $params): string {
   return http_build_query($filtered);
 }
 
-function ccc_forward_request(string $targetUrl, array $outgoingHeaders): void {
-  $method = $_SERVER['REQUEST_METHOD'] ?? 'GET';
-  $rawBody = file_get_contents('php://input');
-
-  $ch = curl_init();
-  curl_setopt($ch, CURLOPT_URL, $targetUrl);
-  curl_setopt($ch, CURLOPT_CUSTOMREQUEST, $method);
-  curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
-  curl_setopt($ch, CURLOPT_HEADER, true);
-  curl_setopt($ch, CURLOPT_TIMEOUT, 90);
-  curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 20);
-  curl_setopt($ch, CURLOPT_HTTPHEADER, $outgoingHeaders);
-
-  if (!in_array($method, ['GET', 'HEAD'], true)) {
-    curl_setopt($ch, CURLOPT_POSTFIELDS, $rawBody);
-  }
-
-  $response = curl_exec($ch);
-
-  if ($response === false) {
-    $err = curl_error($ch);
-    curl_close($ch);
-    ccc_json_error(502, 'Upstream request failed: ' . $err);
-  }
-
-  $statusCode = (int) curl_getinfo($ch, CURLINFO_RESPONSE_CODE);
-  $headerSize = (int) curl_getinfo($ch, CURLINFO_HEADER_SIZE);
-  curl_close($ch);
-
-  $headerRaw = substr($response, 0, $headerSize);
-  $body = substr($response, $headerSize);
-
-  http_response_code($statusCode);
+// Forward a request body that has passed ccc_guard_request
+function ccc_forward_request(string $targetUrl, array $outgoingHeaders, string $rawBody): void {
 
   $forwardHeaderNames = [
     'content-type' => true,
@@ -90,26 +83,77 @@ function ccc_forward_request(string $targetUrl, array $outgoingHeaders): void {
     'anthropic-request-id' => true,
   ];
 
-  $lines = preg_split("/\r\n|\n|\r/", trim($headerRaw));
-  foreach ($lines as $line) {
-    if (str_starts_with($line, 'HTTP/')) continue;
-    $parts = explode(':', $line, 2);
-    if (count($parts) !== 2) continue;
+  // The upstream body is relayed chunk by chunk as curl receives it, so
+  // streamed responses (server-sent events) reach the browser immediately.
+  while (ob_get_level() > 0) {
+    ob_end_flush();
+  }
+  set_time_limit(0);
+
+  $bodyStarted = false;
+
+  $ch = curl_init();
+  curl_setopt($ch, CURLOPT_URL, $targetUrl);
+  curl_setopt($ch, CURLOPT_CUSTOMREQUEST, 'POST');
+  curl_setopt($ch, CURLOPT_RETURNTRANSFER, false);
+  curl_setopt($ch, CURLOPT_CONNECTTIMEOUT, 20);
+  // Abort only when the upstream stalls, not when a long stream is still flowing
+  curl_setopt($ch, CURLOPT_LOW_SPEED_LIMIT, 1);
+  curl_setopt($ch, CURLOPT_LOW_SPEED_TIME, 90);
+  curl_setopt($ch, CURLOPT_HTTPHEADER, $outgoingHeaders);
+
+  curl_setopt($ch, CURLOPT_HEADERFUNCTION, function ($ch, string $line) use ($forwardHeaderNames): int {
+    $length = strlen($line);
+    $trimmed = trim($line);
+
+    if (preg_match('/^HTTP\/\S+\s+(\d{3})/', $trimmed, $matches)) {
+      http_response_code((int) $matches[1]);
+      return $length;
+    }
+
+    $parts = explode(':', $trimmed, 2);
+    if (count($parts) !== 2) return $length;
 
     $name = trim($parts[0]);
     $value = trim($parts[1]);
-    $lower = strtolower($name);
 
-    if (isset($forwardHeaderNames[$lower])) {
+    if (isset($forwardHeaderNames[strtolower($name)]) && !headers_sent()) {
       header($name . ': ' . $value);
     }
-  }
 
-  if (!headers_sent()) {
-    header('X-CCC-Proxy: 1');
+    return $length;
+  });
+
+  curl_setopt($ch, CURLOPT_WRITEFUNCTION, function ($ch, string $chunk) use (&$bodyStarted): int {
+    if (!$bodyStarted) {
+      $bodyStarted = true;
+      if (!headers_sent()) {
+        header('X-CCC-Proxy: 1');
+        header('X-Accel-Buffering: no');
+      }
+    }
+
+    echo $chunk;
+    flush();
+
+    return strlen($chunk);
+  });
+
+  curl_setopt($ch, CURLOPT_POSTFIELDS, $rawBody);
+
+  $ok = curl_exec($ch);
+
+  if ($ok === false) {
+    $err = curl_error($ch);
+    curl_close($ch);
+
+    // Once part of the body has been relayed the status line is gone; just stop
+    if ($bodyStarted) exit;
+
+    ccc_json_error(502, 'Upstream request failed: ' . $err);
   }
 
-  echo $body;
+  curl_close($ch);
   exit;
 }
 
@@ -128,6 +172,11 @@ function ccc_filter_incoming_headers(array $incomingHeaders, array $overrides):
     'upgrade' => true,
   ];
 
+  // Headers we set ourselves replace the incoming ones instead of being sent twice
+  foreach ($overrides as $name => $value) {
+    $blocked[strtolower($name)] = true;
+  }
+
   $out = [];
   foreach ($incomingHeaders as $name => $value) {
     $lower = strtolower($name);
@@ -142,3 +191,264 @@ function ccc_filter_incoming_headers(array $incomingHeaders, array $overrides):
 
   return $out;
 }
+
+// --- PROXY GUARD ---
+// PHP port of proxy-guard.js: once a server-side key is configured anyone who
+// can reach /api/<provider> could spend it, so every proxied request has to
+// pass an origin check, the path and model allowlists, a body size cap and
+// per-IP / per-key rate limits before it is forwarded. Reads the same CCC_*
+// variables as the Node proxies.
+
+// Upstream model ids of the catalog in src/models.js, written next to this
+// file by the build (vite.config.js). Missing outside a build: every model is
+// then rejected unless CCC_ALLOWED_MODELS is set.
+function ccc_default_allowed_models(): array {
+  $json = @file_get_contents(__DIR__ . '/allowed-models.json');
+  $models = is_string($json) ? json_decode($json, true) : null;
+  return is_array($models) ? array_values(array_filter($models, 'is_string')) : [];
+}
+
+// Allowed upstream paths and where the model and output budget are found
+const CCC_PROXY_PROVIDERS = [
+  'gemini' => [
+    'label' => 'Gemini',
+    'path' => '/^v1beta\/models\/([\w.-]+):(?:generateContent|streamGenerateContent)$/',
+    'maxOutputTokens' => ['generationConfig', 'maxOutputTokens'],
+  ],
+  'anthropic' => [
+    'label' => 'Anthropic',
+    'path' => '/^v1\/messages$/',
+    'maxOutputTokens' => ['max_tokens'],
+  ],
+  'openai' => [
+    'label' => 'OpenAI',
+    'path' => '/^v1\/responses$/',
+    'maxOutputTokens' => ['max_output_tokens'],
+  ],
+];
+
+const CCC_RATE_LIMIT_WINDOW_SECONDS = 60;
+
+// Output budget assumed when a request doesn't state its own
+const CCC_DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+function ccc_env_list(string $name): array {
+  $value = getenv($name);
+  if (!is_string($value)) return [];
+  return array_values(array_filter(array_map('trim', explode(',', $value)), fn($entry) => $entry !== ''));
+}
+
+function ccc_env_limit(string $name, int $fallback): int {
+  $value = getenv($name);
+  return is_string($value) && is_numeric($value) && (float) $value >= 0 ? (int) $value : $fallback;
+}
+
+function ccc_guard_config(): array {
+  $allowedModels = ccc_env_list('CCC_ALLOWED_MODELS');
+  return [
+    'allowedOrigins' => array_map(fn($origin) => rtrim($origin, '/'), ccc_env_list('CCC_ALLOWED_ORIGINS')),
+    'allowedModels' => $allowedModels ?: ccc_default_allowed_models(),
+    'maxBodyBytes' => ccc_env_limit('CCC_MAX_BODY_BYTES', 8 * 1024 * 1024),
+    'limits' => [
+      'ipRequests' => ccc_env_limit('CCC_RATE_LIMIT_IP_REQUESTS', 30),
+      'keyRequests' => ccc_env_limit('CCC_RATE_LIMIT_KEY_REQUESTS', 60),
+      'ipTokens' => ccc_env_limit('CCC_RATE_LIMIT_IP_TOKENS', 300000),
+      'keyTokens' => ccc_env_limit('CCC_RATE_LIMIT_KEY_TOKENS', 600000),
+    ],
+    'trustProxy' => getenv('CCC_TRUST_PROXY') === '1',
+  ];
+}
+
+// Rejection the app recognises by the X-CCC-Proxy-Error header
+function ccc_guard_error(int $statusCode, string $code, string $message, ?int $retryAfterSeconds = null): void {
+  http_response_code($statusCode);
+  header('Content-Type: application/json');
+  header('Cache-Control: no-store');
+  header('X-CCC-Proxy-Error: ' . $code);
+  if ($retryAfterSeconds !== null) {
+    header('Retry-After: ' . $retryAfterSeconds);
+  }
+  echo json_encode(['error' => $message, 'code' => $code]);
+  exit;
+}
+
+function ccc_header(array $headers, string $name): string {
+  foreach ($headers as $headerName => $value) {
+    if (strtolower($headerName) === $name) return (string) $value;
+  }
+  return '';
+}
+
+function ccc_client_ip(array $config): string {
+  if ($config['trustProxy']) {
+    $forwarded = trim(explode(',', $_SERVER['HTTP_X_FORWARDED_FOR'] ?? '')[0]);
+    if ($forwarded !== '') return $forwarded;
+  }
+  return $_SERVER['REMOTE_ADDR'] ?? 'unknown';
+}
+
+function ccc_check_origin(array $config, array $headers): void {
+  if (in_array('*', $config['allowedOrigins'], true)) return;
+
+  $origin = ccc_header($headers, 'origin');
+  if ($origin === '' || $origin === 'null') {
+    $referer = ccc_header($headers, 'referer');
+    $parts = $referer !== '' ? parse_url($referer) : false;
+    $origin = is_array($parts) && isset($parts['scheme'], $parts['host'])
+      ? $parts['scheme'] . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '')
+      : '';
+  }
+  if ($origin === '') {
+    ccc_guard_error(403, 'origin_required', 'Requests must come from the app (no Origin or Referer header).');
+  }
+
+  // The app's own origin is always allowed, whatever host it's served on.
+  // X-Forwarded-Host is client-controlled unless a trusted proxy sets it.
+  $host = ($config['trustProxy'] ? ($_SERVER['HTTP_X_FORWARDED_HOST'] ?? '') : '') ?: ($_SERVER['HTTP_HOST'] ?? '');
+  $parts = parse_url($origin);
+  $originHost = is_array($parts) && isset($parts['host'])
+    ? $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '')
+    : '';
+  if ($originHost !== '' && strcasecmp($originHost, $host) === 0) return;
+  if (in_array($origin, $config['allowedOrigins'], true)) return;
+
+  ccc_guard_error(403, 'origin_not_allowed', "Origin {$origin} is not allowed to use this proxy.");
+}
+
+// Read the request body, stopping as soon as it passes the cap
+function ccc_read_limited_body(int $maxBytes): string {
+  $declared = (int) ($_SERVER['CONTENT_LENGTH'] ?? 0);
+  if ($maxBytes > 0 && $declared > $maxBytes) {
+    ccc_guard_error(413, 'body_too_large', "Request body exceeds the {$maxBytes} byte limit.");
+  }
+
+  $body = $maxBytes > 0
+    ? file_get_contents('php://input', false, null, 0, $maxBytes + 1)
+    : file_get_contents('php://input');
+  $body = is_string($body) ? $body : '';
+  if ($maxBytes > 0 && strlen($body) > $maxBytes) {
+    ccc_guard_error(413, 'body_too_large', "Request body exceeds the {$maxBytes} byte limit.");
+  }
+  return $body;
+}
+
+// Fixed one-minute windows kept in a file, since PHP holds no state between
+// requests. A request is counted against all of its buckets or none.
+function ccc_take_rate_limit(array $checks, int $tokens): void {
+  foreach ($checks as $check) {
+    if ($check['maxTokens'] && $tokens > $check['maxTokens']) {
+      ccc_guard_error(
+        413,
+        'token_limit_exceeded',
+        "This request needs about {$tokens} tokens, more than the {$check['label']} limit of {$check['maxTokens']} tokens per minute."
+      );
+    }
+  }
+
+  $handle = fopen(sys_get_temp_dir() . '/ccc-proxy-rate-limits.json', 'c+');
+  if ($handle === false) {
+    ccc_guard_error(503, 'rate_limit_unavailable', 'The proxy could not open its rate limit state.');
+  }
+  flock($handle, LOCK_EX);
+
+  $now = time();
+  $windows = json_decode(stream_get_contents($handle) ?: '[]', true);
+  $windows = is_array($windows) ? $windows : [];
+  // Forget finished windows so idle clients don't accumulate
+  foreach ($windows as $bucket => $window) {
+    if ($now - $window['startedAt'] >= CCC_RATE_LIMIT_WINDOW_SECONDS) unset($windows[$bucket]);
+  }
+
+  $error = null;
+  foreach ($checks as $check) {
+    $window = $windows[$check['bucket']] ?? ['startedAt' => $now, 'requests' => 0, 'tokens' => 0];
+    $retryAfterSeconds = max(1, $window['startedAt'] + CCC_RATE_LIMIT_WINDOW_SECONDS - $now);
+
+    if ($check['maxRequests'] && $window['requests'] + 1 > $check['maxRequests']) {
+      $error = [429, 'rate_limited', "Too many requests: the {$check['label']} limit is {$check['maxRequests']} per minute. Try again in {$retryAfterSeconds}s.", $retryAfterSeconds];
+      break;
+    }
+    if ($check['maxTokens'] && $window['tokens'] + $tokens > $check['maxTokens']) {
+      $error = [429, 'token_rate_limited', "Token budget used up: the {$check['label']} limit is {$check['maxTokens']} tokens per minute. Try again in {$retryAfterSeconds}s.", $retryAfterSeconds];
+      break;
+    }
+  }
+
+  if ($error === null) {
+    foreach ($checks as $check) {
+      $window = $windows[$check['bucket']] ?? ['startedAt' => $now, 'requests' => 0, 'tokens' => 0];
+      $window['requests'] += 1;
+      $window['tokens'] += $tokens;
+      $windows[$check['bucket']] = $window;
+    }
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($windows));
+  }
+
+  flock($handle, LOCK_UN);
+  fclose($handle);
+
+  if ($error !== null) ccc_guard_error(...$error);
+}
+
+// Validate a proxied request and count it against the rate limits. Rejections
+// end the request; otherwise returns the body to forward.
+function ccc_guard_request(string $provider, string $path, array $headers, string $apiKey): string {
+  $config = ccc_guard_config();
+  $rules = CCC_PROXY_PROVIDERS[$provider];
+
+  ccc_check_origin($config, $headers);
+
+  if (($_SERVER['REQUEST_METHOD'] ?? 'GET') !== 'POST') {
+    ccc_guard_error(405, 'method_not_allowed', "Only POST requests are proxied to {$rules['label']}.");
+  }
+
+  if (!preg_match($rules['path'], $path, $pathMatch)) {
+    ccc_guard_error(403, 'path_not_allowed', "The {$rules['label']} path \"{$path}\" is not allowed by this proxy.");
+  }
+
+  $body = ccc_read_limited_body($config['maxBodyBytes']);
+  $payload = json_decode($body, true);
+  if (!is_array($payload)) {
+    ccc_guard_error(400, 'invalid_json', 'Request body must be JSON.');
+  }
+
+  $model = $provider === 'gemini' ? $pathMatch[1] : ($payload['model'] ?? '');
+  if (!$config['allowedModels']) {
+    ccc_guard_error(500, 'allowlist_missing', 'The proxy has no model allowlist: deploy the built api/allowed-models.json or set CCC_ALLOWED_MODELS.');
+  }
+  if (!is_string($model) || !in_array($model, $config['allowedModels'], true)) {
+    $label = is_string($model) ? $model : json_encode($model);
+    ccc_guard_error(403, 'model_not_allowed', "Model \"{$label}\" is not on this proxy's allowlist.");
+  }
+
+  // Input tokens are estimated from the body size (~4 bytes per token), output
+  // from the request's own max tokens setting
+  $maxOutputTokens = $payload;
+  foreach ($rules['maxOutputTokens'] as $field) {
+    $maxOutputTokens = is_array($maxOutputTokens) ? ($maxOutputTokens[$field] ?? null) : null;
+  }
+  $tokens = (int) ceil(strlen($body) / 4)
+    + (is_numeric($maxOutputTokens) && $maxOutputTokens > 0 ? (int) $maxOutputTokens : CCC_DEFAULT_MAX_OUTPUT_TOKENS);
+
+  $limits = $config['limits'];
+  $checks = [[
+    'bucket' => 'ip:' . ccc_client_ip($config),
+    'label' => 'per-IP',
+    'maxRequests' => $limits['ipRequests'],
+    'maxTokens' => $limits['ipTokens'],
+  ]];
+  // Keys are only ever held as a short hash, never logged or stored in clear
+  if ($apiKey !== '') {
+    $checks[] = [
+      'bucket' => 'key:' . substr(hash('sha256', $apiKey), 0, 16),
+      'label' => 'per-key',
+      'maxRequests' => $limits['keyRequests'],
+      'maxTokens' => $limits['keyTokens'],
+    ];
+  }
+  ccc_take_rate_limit($checks, $tokens);
+
+  return $body;
+}
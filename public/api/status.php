@@ -0,0 +1,12 @@
+<?php
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/proxy-utils.php';
+
+// Reports which providers have a server-side key; the keys themselves never leave the server
+header('Content-Type: application/json');
+header('Cache-Control: no-store');
+echo json_encode([
+  'serverKeys' => ccc_server_key_status(),
+]);
@@ -0,0 +1,416 @@
+// Production server: serves the built app from dist/ and proxies the model
+// APIs like public/api/*-proxy.php, but streams responses as they arrive.
+//
+//   npm run build && node --env-file=.env server.js
+//
+// Environment:
+//   PORT, HOST                 listen address (default 0.0.0.0:8080)
+//   GEMINI_API_KEY, ANTHROPIC_API_KEY, OPENAI_API_KEY   server-side keys
+//   CCC_CONNECT_TIMEOUT_MS     upstream connect timeout (default 20000)
+//   CCC_IDLE_TIMEOUT_MS        abort when the upstream sends nothing for this long (default 90000)
+//   CCC_REQUEST_TIMEOUT_MS     hard limit for a whole proxied request, 0 = none (default 0)
+//   CCC_ALLOWED_ORIGINS, CCC_ALLOWED_MODELS, CCC_MAX_BODY_BYTES, CCC_RATE_LIMIT_*
+//                              request safeguards, see proxy-guard.js
+
+import http from "node:http";
+import https from "node:https";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  PROXY_PATH_PATTERN,
+  PROXY_PROVIDERS,
+  ProxyGuardError,
+  createProxyGuard,
+  readLimitedBody,
+  sendProxyGuardError,
+} from "./proxy-guard.js";
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(ROOT_DIR, "dist");
+
+const PORT = Number(process.env.PORT) || 8080;
+const HOST = process.env.HOST || "0.0.0.0";
+
+function readTimeout(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const CONNECT_TIMEOUT_MS = readTimeout("CCC_CONNECT_TIMEOUT_MS", 20000);
+const IDLE_TIMEOUT_MS = readTimeout("CCC_IDLE_TIMEOUT_MS", 90000);
+const REQUEST_TIMEOUT_MS = readTimeout("CCC_REQUEST_TIMEOUT_MS", 0);
+
+const proxyGuard = createProxyGuard();
+
+// --- SERVER-SIDE KEYS ---
+// Same environment variables the PHP proxies and the vite dev proxy read
+const SERVER_KEY_ENV = {
+  gemini: "GEMINI_API_KEY",
+  anthropic: "ANTHROPIC_API_KEY",
+  openai: "OPENAI_API_KEY",
+};
+
+function getServerKey(provider) {
+  return (process.env[SERVER_KEY_ENV[provider]] || "").trim();
+}
+
+function getServerKeyStatus() {
+  return Object.fromEntries(
+    Object.keys(SERVER_KEY_ENV).map((provider) => [provider, getServerKey(provider) !== ""])
+  );
+}
+
+// --- HEADER FILTERING (mirrors proxy-utils.php) ---
+const BLOCKED_REQUEST_HEADERS = new Set([
+  "host",
+  "content-length",
+  "accept-encoding",
+  "connection",
+  "keep-alive",
+  "proxy-authenticate",
+  "proxy-authorization",
+  "te",
+  "trailer",
+  "transfer-encoding",
+  "upgrade",
+]);
+
+// Upstream response headers relayed to the browser
+const FORWARDED_RESPONSE_HEADERS = new Set([
+  "content-type",
+  "cache-control",
+  "pragma",
+  "x-request-id",
+  "request-id",
+  "openai-request-id",
+  "anthropic-request-id",
+]);
+
+// Same rules as ccc_filter_incoming_headers: drop hop-by-hop headers, and let
+// the headers we set ourselves replace incoming ones instead of duplicating them
+function filterIncomingHeaders(incomingHeaders, overrides) {
+  const overridden = new Set(Object.keys(overrides).map((name) => name.toLowerCase()));
+  const out = {};
+
+  for (const [name, value] of Object.entries(incomingHeaders)) {
+    const lower = name.toLowerCase();
+    if (BLOCKED_REQUEST_HEADERS.has(lower) || overridden.has(lower)) continue;
+    out[lower] = value;
+  }
+
+  for (const [name, value] of Object.entries(overrides)) {
+    out[name.toLowerCase()] = value;
+  }
+
+  return out;
+}
+
+// --- PROXY ROUTES ---
+// Where each provider lives and the headers we set; which key the browser
+// sent is read by the provider rules in proxy-guard.js
+const PROXY_ROUTES = {
+  gemini: {
+    host: "generativelanguage.googleapis.com",
+    // The key travels as a header so it never appears in the upstream URL
+    buildOverrides: (apiKey) => ({ "x-goog-api-key": apiKey }),
+  },
+  anthropic: {
+    host: "api.anthropic.com",
+    buildOverrides: (apiKey, headers) => ({
+      "x-api-key": apiKey,
+      ...(!headers["anthropic-version"] && { "anthropic-version": "2023-06-01" }),
+    }),
+  },
+  openai: {
+    host: "api.openai.com",
+    buildOverrides: (apiKey) => ({ authorization: `Bearer ${apiKey}` }),
+  },
+};
+
+function sendJsonError(res, statusCode, message) {
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify({ error: message }));
+}
+
+async function proxyRequest(req, res, provider, upstreamPath, query, log) {
+  const route = PROXY_ROUTES[provider];
+  const { label, getKey } = PROXY_PROVIDERS[provider];
+
+  if (!upstreamPath) {
+    sendJsonError(res, 400, `Missing ${label} path`);
+    return;
+  }
+
+  // Safeguards first, so a foreign origin learns nothing about the keys
+  const body = await readLimitedBody(req, proxyGuard.config.maxBodyBytes);
+  const { model } = proxyGuard.checkRequest({
+    req,
+    provider,
+    path: upstreamPath,
+    query,
+    body,
+    serverKey: getServerKey(provider),
+  });
+  log.model = model;
+
+  let keySource = "browser";
+  let apiKey = getKey(req.headers, query);
+  if (!apiKey) {
+    apiKey = getServerKey(provider);
+    keySource = "server";
+  }
+  if (!apiKey) {
+    sendJsonError(res, 401, `${label} API key is not configured`);
+    return;
+  }
+  log.keySource = keySource;
+
+  query.delete("key");
+  const queryString = query.toString();
+
+  const headers = filterIncomingHeaders(req.headers, route.buildOverrides(apiKey, req.headers));
+  if (!["GET", "HEAD"].includes(req.method)) {
+    headers["content-length"] = String(body.length);
+  }
+
+  const upstreamReq = https.request({
+    host: route.host,
+    method: req.method,
+    path: `/${upstreamPath}${queryString ? `?${queryString}` : ""}`,
+    headers,
+    // Socket inactivity: only a stalled upstream is aborted, not a long stream
+    timeout: IDLE_TIMEOUT_MS || undefined,
+  });
+
+  let failure = null;
+  const abort = (statusCode, message) => {
+    if (failure) return;
+    failure = { statusCode, message };
+    upstreamReq.destroy(new Error(message));
+  };
+
+  const connectTimer = CONNECT_TIMEOUT_MS
+    ? setTimeout(() => abort(504, "Upstream connect timed out"), CONNECT_TIMEOUT_MS)
+    : null;
+  const requestTimer = REQUEST_TIMEOUT_MS
+    ? setTimeout(() => abort(504, "Upstream request timed out"), REQUEST_TIMEOUT_MS)
+    : null;
+  const clearTimers = () => {
+    clearTimeout(connectTimer);
+    clearTimeout(requestTimer);
+  };
+
+  upstreamReq.on("socket", (socket) => {
+    // A kept-alive socket from the agent is already connected
+    if (!socket.connecting) clearTimeout(connectTimer);
+    else socket.once("secureConnect", () => clearTimeout(connectTimer));
+  });
+  upstreamReq.on("timeout", () => abort(504, "Upstream stopped responding"));
+
+  // The browser went away (run cancelled): stop paying for the rest of the stream
+  res.on("close", () => {
+    if (!res.writableFinished) abort(499, "Client closed the connection");
+  });
+
+  upstreamReq.on("response", (upstreamRes) => {
+    clearTimeout(connectTimer);
+    log.status = upstreamRes.statusCode;
+
+    const responseHeaders = {
+      "X-CCC-Proxy": "1",
+      "X-Accel-Buffering": "no",
+    };
+    for (const [name, value] of Object.entries(upstreamRes.headers)) {
+      if (FORWARDED_RESPONSE_HEADERS.has(name)) responseHeaders[name] = value;
+    }
+    res.writeHead(upstreamRes.statusCode, responseHeaders);
+    // Streamed model output has to reach the browser chunk by chunk
+    res.flushHeaders();
+
+    // pipe() pauses the upstream while a slow client catches up, so long
+    // streams don't pile up in memory; it also ends res when upstream ends
+    upstreamRes.pipe(res);
+    upstreamRes.on("end", clearTimers);
+    upstreamRes.on("error", () => {
+      clearTimers();
+      res.destroy();
+    });
+  });
+
+  upstreamReq.on("error", (error) => {
+    clearTimers();
+    const { statusCode, message } = failure || {
+      statusCode: 502,
+      message: `Upstream request failed: ${error.message}`,
+    };
+    log.status = log.status || statusCode;
+    log.error = message;
+    // Once part of the body has been relayed the status line is gone; just stop
+    sendJsonError(res, statusCode, message);
+  });
+
+  upstreamReq.end(["GET", "HEAD"].includes(req.method) ? undefined : body);
+}
+
+// --- STATIC FILES ---
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".mp4": "video/mp4",
+  ".woff2": "font/woff2",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+// Never serve the PHP proxies or Apache config that also live in dist/
+const HIDDEN_STATIC_PATTERN = /(^|\/)(\.|api\/)|\.php$/;
+
+function resolveStaticFile(urlPath) {
+  let relative;
+  try {
+    relative = decodeURIComponent(urlPath).replace(/^\/+/, "");
+  } catch {
+    return null;
+  }
+  if (HIDDEN_STATIC_PATTERN.test(relative)) return null;
+
+  const filePath = path.resolve(DIST_DIR, relative);
+  if (filePath !== DIST_DIR && !filePath.startsWith(DIST_DIR + path.sep)) return null;
+
+  try {
+    return fs.statSync(filePath).isFile() ? filePath : null;
+  } catch {
+    return null;
+  }
+}
+
+function serveStatic(req, res, urlPath, log) {
+  if (!["GET", "HEAD"].includes(req.method)) {
+    log.status = 405;
+    res.writeHead(405, { Allow: "GET, HEAD" });
+    res.end();
+    return;
+  }
+
+  // Unknown paths fall back to the app shell, like the .htaccess SPA rule
+  const filePath = resolveStaticFile(urlPath) || path.join(DIST_DIR, "index.html");
+  const extension = path.extname(filePath).toLowerCase();
+
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    log.status = 404;
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not found. Run `npm run build` first.");
+    return;
+  }
+
+  log.status = 200;
+  res.writeHead(200, {
+    "Content-Type": CONTENT_TYPES[extension] || "application/octet-stream",
+    "Content-Length": stat.size,
+    // Built assets have content hashes in their names
+    "Cache-Control": urlPath.startsWith("/assets/")
+      ? "public, max-age=31536000, immutable"
+      : "no-cache",
+  });
+
+  if (req.method === "HEAD") {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+// --- REQUEST LOG ---
+// Keys can arrive in the query string (Gemini's ?key=); never write them out
+function redactUrl(url) {
+  return url.replace(/([?&](?:key|api_key|apikey)=)[^&]*/gi, "$1[redacted]");
+}
+
+function writeRequestLog(req, log, startedAt) {
+  const parts = [
+    new Date().toISOString(),
+    req.method,
+    redactUrl(req.url),
+    log.status || "-",
+    `${Date.now() - startedAt}ms`,
+  ];
+  if (log.model) parts.push(`model=${log.model}`);
+  if (log.keySource) parts.push(`key=${log.keySource}`);
+  if (log.error) parts.push(`error="${log.error}"`);
+  console.log(parts.join(" "));
+}
+
+// --- SERVER ---
+async function handleRequest(req, res) {
+  const startedAt = Date.now();
+  const log = {};
+  res.on("close", () => writeRequestLog(req, log, startedAt));
+
+  const url = new URL(req.url, "http://localhost");
+
+  try {
+    if (url.pathname === "/api/status") {
+      log.status = 200;
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+      });
+      res.end(JSON.stringify({ serverKeys: getServerKeyStatus() }));
+      return;
+    }
+
+    // Same route pattern the guard and the dev proxy use
+    const proxyMatch = url.pathname.match(PROXY_PATH_PATTERN);
+    if (proxyMatch) {
+      await proxyRequest(req, res, proxyMatch[1], proxyMatch[2] || "", url.searchParams, log);
+      return;
+    }
+
+    if (url.pathname.startsWith("/api/")) {
+      log.status = 404;
+      sendJsonError(res, 404, "Unknown API route");
+      return;
+    }
+
+    serveStatic(req, res, url.pathname, log);
+  } catch (error) {
+    if (error instanceof ProxyGuardError) {
+      log.status = error.status;
+      log.error = error.code;
+      sendProxyGuardError(res, error);
+      return;
+    }
+    log.status = 500;
+    log.error = error.message;
+    sendJsonError(res, 500, "Internal server error");
+  }
+}
+
+const server = http.createServer(handleRequest);
+
+server.listen(PORT, HOST, () => {
+  const configured = Object.entries(getServerKeyStatus())
+    .filter(([, hasKey]) => hasKey)
+    .map(([provider]) => provider);
+  console.log(`Custom Code Command serving ${DIST_DIR} on http://${HOST}:${PORT}`);
+  console.log(`Server-side keys: ${configured.length > 0 ? configured.join(", ") : "none"}`);
+});
@@ -0,0 +1,263 @@
+// The Code Dissector returns JSON findings. They drive the findings view,
+// the gutter markers in step 2, and a markdown report rendered from the
+// same data. Audits that don't parse (older runs, off-format replies) fall
+// back to the raw markdown.
+
+import { extractCodeFromMarkdown, extractMarkdownSection } from "./text.js";
+import { formatRulePackVersion } from "./rules.js";
+
+// "unclassified" is ours, not the model's: findings whose severity isn't one
+// of the rubric's are listed but left out of the score
+export const AUDIT_SEVERITIES = ["critical", "severe", "warning", "unclassified", "good"];
+
+// Score impact per severity (the dissector rubric). Any critical issue
+// makes the score 0 regardless of the rest.
+export const AUDIT_SCORE_IMPACT = {
+  critical: -100,
+  severe: -20,
+  warning: -10,
+  good: 5,
+};
+
+function toLineNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// lineCount bounds the cited lines: a range that starts past the end of the
+// audited code is treated as file-level, one that runs past it is cut short
+function normalizeAuditFinding(finding, lineCount = Infinity) {
+  const label = String(finding?.severity ?? "").trim().toLowerCase();
+  const severity = Object.hasOwn(AUDIT_SCORE_IMPACT, label) ? label : "unclassified";
+  let lineStart = toLineNumber(finding?.lineStart);
+  if (lineStart > lineCount) lineStart = null;
+  const lineEnd = Math.min(toLineNumber(finding?.lineEnd) || 0, lineCount);
+
+  return {
+    ruleId: typeof finding?.ruleId === "string" && finding.ruleId ? finding.ruleId : "unclassified",
+    severity,
+    lineStart,
+    lineEnd: lineStart ? Math.max(lineStart, lineEnd || lineStart) : null,
+    message: String(finding?.message || "").trim(),
+    suggestion:
+      typeof finding?.suggestion === "string" && finding.suggestion.trim()
+        ? finding.suggestion.trim()
+        : null,
+    // The rubric decides the impact, not the number the model wrote
+    scoreImpact: AUDIT_SCORE_IMPACT[severity] ?? 0,
+  };
+}
+
+// Parse the dissector's JSON reply. Returns null when it isn't a report.
+// Pass the audited code to keep cited lines inside it.
+export function parseAuditReport(raw, { code } = {}) {
+  const text = extractCodeFromMarkdown(raw || "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+  if (!data || !Array.isArray(data.findings)) return null;
+
+  const toStrings = (value) =>
+    Array.isArray(value) ? value.map(String).filter((item) => item.trim()) : [];
+
+  return {
+    overallScore: Number.isFinite(data.overallScore)
+      ? Math.max(0, Math.min(100, Math.round(data.overallScore)))
+      : null,
+    summary: String(data.summary || "").trim(),
+    findings: data.findings.map((finding) =>
+      normalizeAuditFinding(finding, code == null ? Infinity : code.split("\n").length)
+    ),
+    requiredUserActions: toStrings(data.requiredUserActions),
+    recommendations: toStrings(data.recommendations),
+  };
+}
+
+// Score an audit from its classified findings using the rubric, with the
+// steps that led to it
+export function computeAuditScore(report) {
+  const counts = { critical: 0, severe: 0, warning: 0, unclassified: 0, good: 0 };
+  for (const finding of report.findings) counts[finding.severity]++;
+
+  const steps = ["severe", "warning", "good"]
+    .filter((severity) => counts[severity] > 0)
+    .map((severity) => ({
+      severity,
+      count: counts[severity],
+      points: counts[severity] * AUDIT_SCORE_IMPACT[severity],
+    }));
+
+  const total = steps.reduce((sum, step) => sum + step.points, 100);
+  const score = counts.critical > 0 ? 0 : Math.max(0, Math.min(100, total));
+
+  return { score, critical: counts.critical, unclassified: counts.unclassified, steps, total };
+}
+
+export function formatScoreBreakdown(breakdown) {
+  const unclassified = breakdown.unclassified
+    ? ` · ${breakdown.unclassified} unclassified, not scored`
+    : "";
+  if (breakdown.critical > 0) {
+    return `${breakdown.critical} critical issue${breakdown.critical === 1 ? "" : "s"} → 0${unclassified}`;
+  }
+  if (breakdown.steps.length === 0) return `100, no deductions${unclassified}`;
+  const terms = breakdown.steps.map(
+    ({ severity, count, points }) =>
+      `${points < 0 ? "−" : "+"} ${count} ${severity} × ${Math.abs(AUDIT_SCORE_IMPACT[severity])}`
+  );
+  const clamped = breakdown.total !== breakdown.score ? ` (capped at ${breakdown.score})` : "";
+  return `100 ${terms.join(" ")} = ${breakdown.total}${clamped}${unclassified}`;
+}
+
+function formatLineRange(finding) {
+  if (!finding.lineStart) return "whole file";
+  return finding.lineEnd > finding.lineStart
+    ? `lines ${finding.lineStart}–${finding.lineEnd}`
+    : `line ${finding.lineStart}`;
+}
+
+// Render the report in the markdown layout the audit used to be written in
+export function auditReportToMarkdown(report) {
+  const bySeverity = (severity) =>
+    report.findings.filter((finding) => finding.severity === severity);
+  const describe = (finding) =>
+    `- **[${finding.ruleId}]** (${formatLineRange(finding)}) ${finding.message}`;
+
+  const breakdown = computeAuditScore(report);
+  const sections = [
+    `## Overall Score: ${breakdown.score}/100`,
+    `Score breakdown: ${formatScoreBreakdown(breakdown)}` +
+      (report.overallScore !== null ? ` · model reported ${report.overallScore}/100` : ""),
+    report.summary,
+    "## Critical Issues",
+    bySeverity("critical").map(describe).join("\n") || "- None",
+    "## Warnings",
+    [...bySeverity("severe"), ...bySeverity("warning"), ...bySeverity("unclassified")]
+      .map((finding) => `${describe(finding)} — ${finding.severity}`)
+      .join("\n") || "- None",
+    "## Good Practices",
+    bySeverity("good").map(describe).join("\n") || "- None",
+    "## Required User Actions in FlutterFlow",
+    report.requiredUserActions.map((action) => `- ${action}`).join("\n") || "- None",
+  ];
+
+  const transformations = report.findings.filter(
+    (finding) => finding.suggestion && finding.severity !== "good"
+  );
+  if (transformations.length > 0) {
+    sections.push(
+      "## Code Transformation Needed",
+      transformations
+        .map(
+          (finding) =>
+            `**[${finding.ruleId}]** ${formatLineRange(finding)}\n\`\`\`dart\n${finding.suggestion}\n\`\`\``
+        )
+        .join("\n\n")
+    );
+  }
+
+  if (report.recommendations.length > 0) {
+    sections.push(
+      "## Recommendations",
+      report.recommendations.map((item, index) => `${index + 1}. ${item}`).join("\n")
+    );
+  }
+
+  return sections.filter(Boolean).join("\n\n");
+}
+
+// Markdown for an audit, whether it came back structured or not
+export function getAuditMarkdown(raw, report) {
+  return report ? auditReportToMarkdown(report) : raw || "";
+}
+
+// Standalone audit file: the dissector report plus the local lint and
+// package findings, which the report itself doesn't include
+export function buildAuditDocument({ spec, models, rulePack, auditRaw, report, lintFindings, packageFindings }) {
+  const score = getAuditScore(auditRaw, report);
+  const sections = [
+    `# FlutterFlow audit: ${spec?.artifactName || "custom code"} (${spec?.artifactType || "unknown type"})`,
+    `Models: architect ${models.architect}, generator ${models.generator}, dissector ${models.dissector}. Rules: ${formatRulePackVersion(rulePack)}. Score: ${score ?? "unknown"}/100.`,
+    getAuditMarkdown(auditRaw, report),
+  ];
+
+  if (lintFindings.length > 0) {
+    sections.push(
+      "## Static Lint Findings",
+      lintFindings
+        .map((finding) => `- Line ${finding.line}:${finding.column} **[${finding.ruleId}]** (${finding.severity}) ${finding.message}`)
+        .join("\n")
+    );
+  }
+  if (packageFindings.length > 0) {
+    sections.push(
+      "## Package Checks",
+      packageFindings
+        .map((finding) => `- **${finding.package}** [${finding.ruleId}] (${finding.severity}) ${finding.message}`)
+        .join("\n")
+    );
+  }
+  return sections.join("\n\n") + "\n";
+}
+
+// Read the "## Overall Score: NN/100" line from a dissector audit
+function parseAuditScore(markdown) {
+  const match = (markdown || "").match(
+    /Overall Score:?\s*\**\s*(\d{1,3})\s*\/\s*100/i
+  );
+  return match ? Math.min(100, parseInt(match[1], 10)) : null;
+}
+
+// Structured audits are scored from their findings; unstructured ones can
+// only offer the score the model wrote
+export function getAuditScore(raw, report) {
+  return report ? computeAuditScore(report).score : parseAuditScore(raw);
+}
+
+function describeFindingForRepair(finding) {
+  const fix = finding.suggestion ? `\n  Suggested fix:\n\`\`\`dart\n${finding.suggestion}\n\`\`\`` : "";
+  return `- [${finding.ruleId}] (${finding.severity}, ${formatLineRange(finding)}) ${finding.message}${fix}`;
+}
+
+// Everything the generator should fix in the next repair round: every
+// finding that isn't a good practice, plus the blocking lint findings.
+// Unstructured audits only offer their markdown sections. Empty when there
+// is nothing to act on.
+export function buildRepairFeedback(raw, report, lintFindings) {
+  const sections = [];
+  if (report) {
+    const issues = report.findings.filter((finding) => finding.severity !== "good");
+    if (issues.length > 0) {
+      sections.push("## Audit Findings\n" + issues.map(describeFindingForRepair).join("\n"));
+    }
+  } else {
+    for (const title of ["Critical Issues", "Warnings", "Code Transformation Needed"]) {
+      const body = extractMarkdownSection(raw || "", title);
+      if (body) sections.push(`## ${title}\n${body}`);
+    }
+  }
+
+  const blocking = lintFindings.filter(
+    (finding) => finding.severity !== "warning"
+  );
+  if (blocking.length > 0) {
+    sections.push(
+      "## Static Lint Findings\n" +
+        blocking
+          .map(
+            (finding) =>
+              `- Line ${finding.line}:${finding.column} [${finding.ruleId}] ${finding.message}`
+          )
+          .join("\n")
+    );
+  }
+
+  return sections.join("\n\n");
+}
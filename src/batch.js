@@ -0,0 +1,249 @@
+// Batch runs: parse an uploaded list of requests and package the finished
+// artifacts as one zip. Running the queue is up to the caller.
+
+import { buildAuditDocument } from "./audit.js";
+import { toDartFileName } from "./text.js";
+
+export const MAX_BATCH_REQUESTS = 100;
+
+// Column or field names that hold the request text
+const REQUEST_FIELDS = ["prompt", "request", "description"];
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("The CSV has an unterminated quoted field.");
+  if (field || row.length) rows.push([...row, field]);
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// A header row names the request column; without one the first column is used
+function parseCsvRequests(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const column = header.findIndex((cell) => REQUEST_FIELDS.includes(cell));
+  const body = column === -1 ? rows : rows.slice(1);
+  return body.map((cells) => cells[Math.max(column, 0)] || "");
+}
+
+function parseJsonRequests(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The JSON file doesn't parse: ${error.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data?.requests;
+  if (!Array.isArray(list)) {
+    throw new Error('Expected a JSON array of requests, or an object with a "requests" array.');
+  }
+
+  return list.map((entry, index) => {
+    if (typeof entry === "string") return entry;
+    const field = REQUEST_FIELDS.find((name) => typeof entry?.[name] === "string");
+    if (!field) {
+      throw new Error(`Request ${index + 1} needs a string or a "prompt" field.`);
+    }
+    return entry[field];
+  });
+}
+
+// CSV, JSON or one request per line (blank lines and # comments skipped).
+// The format comes from the file extension (.csv, .json, .txt); the content is
+// only sniffed for other extensions.
+export function parseBatchRequests(text, fileName = "") {
+  const extension = fileName.toLowerCase().split(".").pop();
+  const trimmed = text.trim();
+
+  let requests;
+  const sniffJson = !["csv", "json", "txt"].includes(extension) && /^[[{]/.test(trimmed);
+  if (extension === "json" || sniffJson) {
+    requests = parseJsonRequests(trimmed);
+  } else if (extension === "csv") {
+    requests = parseCsvRequests(text);
+  } else {
+    requests = text.split(/\r?\n/).filter((line) => !line.trim().startsWith("#"));
+  }
+
+  requests = requests.map((request) => request.trim()).filter(Boolean);
+  if (requests.length === 0) throw new Error("No requests found in the file.");
+  if (requests.length > MAX_BATCH_REQUESTS) {
+    throw new Error(
+      `The file has ${requests.length} requests; a batch takes at most ${MAX_BATCH_REQUESTS}.`
+    );
+  }
+  return requests;
+}
+
+function formatSummaryCell(text) {
+  return String(text ?? "").replace(/\s+/g, " ").replace(/\|/g, "\\|");
+}
+
+// Files for the combined export: spec, Dart and audit per finished item
+// (named like the CLI output) and a summary table of the whole batch.
+// Items carry the stage models and rule pack they ran with.
+export function buildBatchFiles(items) {
+  const files = [];
+  const usedNames = new Set();
+  const rows = [];
+
+  items.forEach((item, index) => {
+    let fileName = null;
+    if (item.status === "done") {
+      const base = toDartFileName(item.spec?.artifactName);
+      fileName = base;
+      for (let n = 2; usedNames.has(fileName); n++) fileName = `${base}_${n}`;
+      usedNames.add(fileName);
+
+      if (item.spec) {
+        files.push({ path: `${fileName}.spec.json`, text: JSON.stringify(item.spec, null, 2) + "\n" });
+      }
+      files.push({ path: `${fileName}.dart`, text: item.code + "\n" });
+      files.push({
+        path: `${fileName}.audit.md`,
+        text: buildAuditDocument({
+          spec: item.spec,
+          models: item.models,
+          rulePack: item.rulePack,
+          auditRaw: item.audit,
+          report: item.report,
+          lintFindings: item.lintFindings,
+          packageFindings: item.packageFindings,
+        }),
+      });
+    }
+
+    rows.push(
+      `| ${index + 1} | ${formatSummaryCell(item.prompt)} | ${formatSummaryCell(item.status === "done" ? `${fileName}.dart` : item.error || item.status)} | ${item.score ?? "–"} | $${item.cost.toFixed(4)} |`
+    );
+  });
+
+  const totalCost = items.reduce((sum, item) => sum + item.cost, 0);
+  files.unshift({
+    path: "batch-summary.md",
+    text: [
+      "# Batch summary",
+      `${items.filter((item) => item.status === "done").length} of ${items.length} requests finished. Total cost: $${totalCost.toFixed(4)}.`,
+      ["| # | Request | Result | Score | Cost |", "|---|---|---|---|---|", ...rows].join("\n"),
+    ].join("\n\n") + "\n",
+  });
+  return files;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed ("stored") zip of text files, readable by readZipEntries and
+// any unzip tool
+export function createZipArchive(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const entries = files.map(({ path, text }) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(text);
+    return { name, data, crc: crc32(data) };
+  });
+
+  const size = entries.reduce((sum, entry) => sum + 30 + 46 + 2 * entry.name.length + entry.data.length, 22);
+  const buffer = new Uint8Array(size);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+
+  // Fields shared by the local header and the central directory entry:
+  // version, flags (bit 11 = UTF-8 names), method 0, time, date, crc, sizes
+  const writeCommon = (entry) => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, 0x0800, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, dosTime, true);
+    view.setUint16(offset + 8, dosDate, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+    offset += 24;
+  };
+
+  for (const entry of entries) {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034b50, true);
+    offset += 4;
+    writeCommon(entry);
+    view.setUint16(offset, 0, true);
+    offset += 2;
+    buffer.set(entry.name, offset);
+    offset += entry.name.length;
+    buffer.set(entry.data, offset);
+    offset += entry.data.length;
+  }
+
+  const directoryStart = offset;
+  for (const entry of entries) {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true);
+    offset += 6;
+    writeCommon(entry);
+    // Extra and comment lengths, disk number, attributes: all zero
+    offset += 12;
+    view.setUint32(offset, entry.offset, true);
+    offset += 4;
+    buffer.set(entry.name, offset);
+    offset += entry.name.length;
+  }
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - directoryStart, true);
+  view.setUint32(offset + 16, directoryStart, true);
+  return buffer;
+}
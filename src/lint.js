@@ -0,0 +1,238 @@
+// Deterministic, offline checks for the rules in FF_FORBIDDEN_PATTERNS and the
+// Code Dissector's audit checklist. Runs without an API key and reports each
+// finding with a 1-based line and column.
+
+const LINT_CONTROLLER_TYPES = [
+  "AnimationController",
+  "TextEditingController",
+  "ScrollController",
+  "PageController",
+  "TabController",
+  "FocusNode",
+  "StreamSubscription",
+  "StreamController",
+  "Timer",
+];
+
+// Types released with cancel() rather than dispose()
+const LINT_CANCELLABLE_TYPES = ["StreamSubscription", "Timer"];
+
+const DART_LINT_RULES = [
+  {
+    id: "no-imports",
+    severity: "critical",
+    pattern: /^[ \t]*(?:import|export|part)\b/gm,
+    message:
+      "Import/export/part directive. FlutterFlow manages all imports - remove it and add packages in Project Dependencies.",
+  },
+  {
+    id: "no-main",
+    severity: "critical",
+    pattern: /(?<![\w.])main\s*\([^)]*\)\s*(?:async\s*)?(?:\{|=>)/g,
+    message: "main() entry point. Custom code is a fragment, not an app.",
+  },
+  {
+    id: "no-run-app",
+    severity: "critical",
+    pattern: /(?<![\w.])runApp\s*\(/g,
+    message: "runApp() call. FlutterFlow owns the app bootstrap.",
+  },
+  {
+    id: "no-app-widget",
+    severity: "critical",
+    pattern: /(?<![\w.])(?:MaterialApp|CupertinoApp|WidgetsApp)\b/g,
+    message: (match) =>
+      `${match[0]} is harness code and will not compile inside FlutterFlow.`,
+  },
+  {
+    id: "no-scaffold",
+    severity: "critical",
+    pattern: /(?<![\w.])Scaffold\s*\(/g,
+    message:
+      "Scaffold widget. Custom widgets are placed inside FlutterFlow pages, which already provide one.",
+  },
+  {
+    id: "no-value-changed",
+    severity: "severe",
+    pattern: /(?<![\w.])ValueChanged\s*</g,
+    message:
+      "ValueChanged<T> callback. Use `Future<dynamic> Function()?` so FlutterFlow can bind an action.",
+  },
+  {
+    id: "no-hardcoded-colors",
+    severity: "severe",
+    pattern: /(?<![\w.])Colors\.(?!transparent\b)(\w+)/g,
+    message: (match) =>
+      `Hardcoded Colors.${match[1]}. Use FlutterFlowTheme.of(context) instead.`,
+  },
+  {
+    id: "no-unsafe-bang",
+    severity: "severe",
+    pattern: /[\w)\]]!(?!=)/g,
+    offset: 1,
+    message: "Null assertion operator `!`. Prefer `??` or `?.` with a fallback.",
+  },
+];
+
+// Replace comments and string contents with spaces (keeping newlines and the
+// quote characters) so rules only match real code and offsets stay aligned.
+function maskDartSource(source) {
+  let out = "";
+  let i = 0;
+
+  const blank = (text) => text.replace(/[^\n]/g, " ");
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+
+    if (rest.startsWith("//")) {
+      const end = source.indexOf("\n", i);
+      const stop = end === -1 ? source.length : end;
+      out += blank(source.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    if (rest.startsWith("/*")) {
+      const end = source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      out += blank(source.slice(i, stop));
+      i = stop;
+      continue;
+    }
+
+    const stringMatch = rest.match(/^r?('''|"""|'|")/);
+    if (stringMatch) {
+      const prefix = stringMatch[0];
+      const quote = stringMatch[1];
+      const raw = prefix.startsWith("r");
+      let j = i + prefix.length;
+      while (j < source.length) {
+        if (!raw && source[j] === "\\") {
+          j += 2;
+          continue;
+        }
+        if (source.startsWith(quote, j)) break;
+        if (quote.length === 1 && source[j] === "\n") break;
+        j++;
+      }
+      const close = Math.min(j + quote.length, source.length);
+      out += prefix + blank(source.slice(i + prefix.length, j)) + source.slice(j, close);
+      i = close;
+      continue;
+    }
+
+    out += source[i];
+    i++;
+  }
+
+  return out;
+}
+
+function getLineAndColumn(source, index) {
+  const before = source.slice(0, index);
+  const line = before.split("\n").length;
+  const column = index - before.lastIndexOf("\n");
+  return { line, column };
+}
+
+// References to theme tokens and App State fields the imported project
+// doesn't declare. Skipped for the parts of the project that weren't found.
+function lintProjectReferences(masked, context, report) {
+  if (context.theme) {
+    const known = new Set(context.theme.members);
+    const rule = { id: "unknown-theme-token", severity: "severe" };
+    // Direct calls plus locals such as `final theme = FlutterFlowTheme.of(context);`
+    const receivers = [
+      "FlutterFlowTheme\\.of\\(\\s*context\\s*\\)",
+      ...[...masked.matchAll(/(\w+)\s*=\s*FlutterFlowTheme\.of\(\s*context\s*\)\s*;/g)].map(
+        (match) => `\\b${match[1]}`
+      ),
+    ];
+    const pattern = new RegExp(`(?:${receivers.join("|")})\\s*\\.\\s*(\\w+)`, "g");
+    for (const match of masked.matchAll(pattern)) {
+      if (known.has(match[1])) continue;
+      report(
+        rule,
+        match.index + match[0].lastIndexOf(match[1]),
+        `\`${match[1]}\` is not a theme token of ${context.name}. Use an existing color or text style, or add it in FlutterFlow's Theme settings.`
+      );
+    }
+  }
+
+  if (context.appState) {
+    const known = new Set([
+      ...context.appState.fields.map((field) => field.name),
+      ...context.appState.methods,
+      "update",
+      "notifyListeners",
+      "addListener",
+      "removeListener",
+    ]);
+    const rule = { id: "unknown-app-state-field", severity: "severe" };
+    const pattern = /(?:FFAppState\(\s*\)|context\.(?:watch|read)<FFAppState>\(\s*\))\s*\.\s*(\w+)/g;
+    for (const match of masked.matchAll(pattern)) {
+      if (known.has(match[1])) continue;
+      report(
+        rule,
+        match.index + match[0].lastIndexOf(match[1]),
+        `\`${match[1]}\` is not an App State field of ${context.name}. Add it under App State in FlutterFlow or use an existing field.`
+      );
+    }
+  }
+}
+
+export function lintDartCode(code, projectContext = null) {
+  if (!code) return [];
+
+  const masked = maskDartSource(code);
+  const findings = [];
+
+  const report = (rule, index, message) => {
+    findings.push({
+      ruleId: rule.id,
+      severity: rule.severity,
+      message,
+      ...getLineAndColumn(code, index),
+    });
+  };
+
+  for (const rule of DART_LINT_RULES) {
+    for (const match of masked.matchAll(rule.pattern)) {
+      const message =
+        typeof rule.message === "function" ? rule.message(match) : rule.message;
+      report(rule, match.index + (rule.offset || 0), message);
+    }
+  }
+
+  // Controllers and subscriptions declared as fields must be released
+  const declarationPattern = new RegExp(
+    `\\b(${LINT_CONTROLLER_TYPES.join("|")})(?:<[^>;]*>)?\\??\\s+(_?\\w+)\\s*[;=]`,
+    "g"
+  );
+  const disposeRule = {
+    id: "missing-dispose",
+    severity: "severe",
+  };
+
+  for (const match of masked.matchAll(declarationPattern)) {
+    const [, type, name] = match;
+    const release = LINT_CANCELLABLE_TYPES.includes(type)
+      ? "cancel"
+      : type === "StreamController"
+        ? "close"
+        : "dispose";
+    const releasePattern = new RegExp(`\\b${name}\\s*\\??\\.\\s*${release}\\s*\\(`);
+    if (!releasePattern.test(masked)) {
+      report(
+        disposeRule,
+        match.index + match[0].indexOf(name),
+        `${type} \`${name}\` is never released. Call \`${name}.${release}()\` in dispose().`
+      );
+    }
+  }
+
+  if (projectContext) lintProjectReferences(masked, projectContext, report);
+
+  return findings.sort((a, b) => a.line - b.line || a.column - b.column);
+}
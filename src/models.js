@@ -0,0 +1,94 @@
+// Providers, the model catalog and each pipeline stage's default model.
+// Shared by the browser app, the CLI and the proxy model allowlist.
+
+// MODEL_CATALOG key tried once when a Gemini model stays unavailable
+export const FALLBACK_MODEL_KEY = "gemini-2.5-flash";
+
+// Provider and model capabilities. A model inherits supportsImages from its
+// provider unless it overrides it.
+export const PROVIDERS = {
+  gemini: { label: "Google Gemini", supportsImages: true },
+  anthropic: { label: "Anthropic Claude", supportsImages: true },
+  openai: { label: "OpenAI", supportsImages: false },
+  // User-supplied OpenAI-compatible server (Ollama, LM Studio, vLLM...)
+  local: { label: "Local (OpenAI-compatible)", supportsImages: false },
+};
+
+export const MODEL_CATALOG = {
+  "gemini-3-flash": {
+    label: "Gemini 3 Flash",
+    provider: "gemini",
+    apiModel: "gemini-3-flash-preview",
+  },
+  "gemini-2.5-flash": {
+    label: "Gemini 2.5 Flash",
+    provider: "gemini",
+    apiModel: "gemini-2.5-flash-preview-09-2025",
+  },
+  "gemini-3.0-pro": {
+    label: "Gemini 3.0 Pro",
+    provider: "gemini",
+    apiModel: "gemini-3.0-pro-preview",
+  },
+  "claude-4.5-opus": {
+    label: "Claude 4.5 Opus",
+    provider: "anthropic",
+    apiModel: "claude-opus-4-5-20251101",
+  },
+  "claude-4.5-sonnet": {
+    label: "Claude 4.5 Sonnet",
+    provider: "anthropic",
+    apiModel: "claude-sonnet-4-5-20250929",
+  },
+  "claude-4.5-haiku": {
+    label: "Claude 4.5 Haiku",
+    provider: "anthropic",
+    apiModel: "claude-haiku-4-5-20251001",
+  },
+  "gpt-5.1-codex-max": {
+    label: "GPT-5.1-Codex-Max",
+    provider: "openai",
+    apiModel: "gpt-5.1-codex-max",
+    // Codex models on the Responses API are text-only
+    supportsImages: false,
+  },
+  "gpt-5.1": {
+    label: "GPT-5.1",
+    provider: "openai",
+    apiModel: "gpt-5.1",
+  },
+  local: {
+    label: "Local model",
+    provider: "local",
+    // Model name comes from the local endpoint settings in the API Keys modal
+    apiModel: null,
+  },
+};
+
+export function modelSupportsImages(modelKey) {
+  const model = MODEL_CATALOG[modelKey];
+  if (!model) return false;
+  return model.supportsImages ?? PROVIDERS[model.provider]?.supportsImages ?? false;
+}
+
+// Each pipeline stage picks its own model; these are the defaults
+export const PIPELINE_STAGES = {
+  architect: {
+    step: 1,
+    label: "Prompt Architect",
+    selectId: "prompt-architect-model",
+    defaultModel: "gemini-3-flash",
+  },
+  generator: {
+    step: 2,
+    label: "Code Generator",
+    selectId: "code-generator-model",
+    defaultModel: "gemini-3.0-pro",
+  },
+  dissector: {
+    step: 3,
+    label: "Code Dissector",
+    selectId: "code-dissector-model",
+    defaultModel: "gemini-3-flash",
+  },
+};
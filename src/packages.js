@@ -0,0 +1,213 @@
+// Offline dependency checks against the package catalog
+// (public/package-catalog.json, or a newer one imported in the app).
+
+import { getJsonType } from "./spec.js";
+
+export function isPackageCatalog(value) {
+  return (
+    getJsonType(value) === "object" &&
+    typeof value.updatedAt === "string" &&
+    getJsonType(value.packages) === "object" &&
+    getJsonType(value.flutterFlowPinned ?? {}) === "object"
+  );
+}
+
+// Versions are compared on major.minor.patch; pre-release and build
+// suffixes are ignored
+function parseVersion(text) {
+  const match = String(text).trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [match[1], match[2] || 0, match[3] || 0].map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// Pub version constraint ("^1.2.0", ">=1.0.0 <2.0.0", "1.2.3", "any") as a
+// list of comparators that must all hold. Returns null if unparseable.
+function parseVersionConstraint(constraint) {
+  const text = String(constraint ?? "").trim();
+  if (!text || text === "any") return [];
+
+  const comparators = [];
+  for (const part of text.split(/\s+/)) {
+    const match = part.match(/^(\^|>=|<=|>|<|=)?(.+)$/);
+    const version = match && parseVersion(match[2]);
+    if (!version) return null;
+
+    const op = match[1] || "=";
+    if (op === "^") {
+      const [major, minor, patch] = version;
+      const upper =
+        major > 0 ? [major + 1, 0, 0] : minor > 0 ? [0, minor + 1, 0] : [0, 0, patch + 1];
+      comparators.push({ op: ">=", version }, { op: "<", version: upper });
+    } else {
+      comparators.push({ op, version });
+    }
+  }
+  return comparators;
+}
+
+function versionSatisfies(version, comparators) {
+  return comparators.every(({ op, version: bound }) => {
+    const order = compareVersions(version, bound);
+    return {
+      "=": order === 0,
+      ">": order > 0,
+      ">=": order >= 0,
+      "<": order < 0,
+      "<=": order <= 0,
+    }[op];
+  });
+}
+
+// Lowest version a constraint allows, or null when it has no lower bound
+function constraintMinimum(comparators) {
+  const lower = comparators.find((comparator) => ["=", ">=", ">"].includes(comparator.op));
+  return lower ? lower.version : null;
+}
+
+// "fl_chart: ^0.70.2", "fl_chart ^0.70.2" or just "fl_chart"
+export function parseDependencyEntry(entry) {
+  const match = String(entry).trim().match(/^([a-z0-9_]+)\s*:?\s*(.*)$/i);
+  if (!match) return null;
+  return {
+    name: match[1].toLowerCase(),
+    constraint: match[2].replace(/^["']|["']$/g, "").trim() || null,
+  };
+}
+
+// Packages the code references through `package:` imports
+export function getCodePackageImports(code) {
+  const names = [...(code || "").matchAll(/['"]package:([a-z0-9_]+)\//gi)].map(
+    (match) => match[1].toLowerCase()
+  );
+  return [...new Set(names)].filter((name) => name !== "flutter");
+}
+
+// Check dependencies against the catalog. nativeConfig is the spec's
+// description of native changes; packages that need some are flagged when it
+// is empty. Returns findings shaped like lint findings, keyed by package.
+function checkPackageDependencies(dependencies, nativeConfig, catalog) {
+  if (!catalog) return [];
+
+  const findings = [];
+  const pinned = catalog.flutterFlowPinned || {};
+  const report = (ruleId, severity, dependency, message) =>
+    findings.push({ ruleId, severity, package: dependency.name, message });
+
+  for (const dependency of dependencies) {
+    const comparators = parseVersionConstraint(dependency.constraint);
+    if (!comparators) {
+      report("package-version", "warning", dependency, `\`${dependency.constraint}\` is not a valid version constraint.`);
+      continue;
+    }
+
+    const pinnedVersion = pinned[dependency.name];
+    if (pinnedVersion) {
+      if (!versionSatisfies(parseVersion(pinnedVersion), comparators)) {
+        report(
+          "package-conflict",
+          "severe",
+          dependency,
+          `FlutterFlow pins ${dependency.name} ${pinnedVersion}, which \`${dependency.constraint}\` excludes. Drop the dependency - it is already available.`
+        );
+      }
+      continue;
+    }
+
+    const entry = catalog.packages[dependency.name];
+    if (!entry) {
+      report(
+        "unknown-package",
+        "warning",
+        dependency,
+        `Not in the offline catalog. Check that it exists on pub.dev and builds in FlutterFlow before adding it.`
+      );
+      continue;
+    }
+
+    const knownGood = parseVersionConstraint(entry.versions) || [];
+    const minimum = constraintMinimum(comparators);
+    if (minimum && !versionSatisfies(minimum, knownGood)) {
+      report(
+        "package-version",
+        "severe",
+        dependency,
+        `\`${dependency.constraint}\` is outside the versions known to work in FlutterFlow (${entry.versions}). Use \`${entry.recommended}\`.`
+      );
+    }
+
+    for (const conflict of entry.conflicts || []) {
+      const affected = parseVersionConstraint(conflict.versions) || [];
+      if (!minimum || versionSatisfies(minimum, affected)) {
+        report("package-conflict", "severe", dependency, conflict.reason);
+      }
+    }
+
+    for (const [required, range] of Object.entries(entry.requires || {})) {
+      const pinnedRequired = pinned[required];
+      const allowed = parseVersionConstraint(range);
+      if (pinnedRequired && allowed && !versionSatisfies(parseVersion(pinnedRequired), allowed)) {
+        report(
+          "package-conflict",
+          "severe",
+          dependency,
+          `Needs ${required} ${range}, but FlutterFlow pins ${required} ${pinnedRequired}.`
+        );
+      }
+    }
+
+    const native = [...(entry.native?.android || []), ...(entry.native?.ios || [])];
+    if (native.length && !String(nativeConfig ?? "").trim()) {
+      report(
+        "missing-native-config",
+        "warning",
+        dependency,
+        `Needs native configuration the spec doesn't mention: ${native.join(", ")}.`
+      );
+    }
+  }
+
+  return findings;
+}
+
+// Step 1: the spec's declared packages
+export function checkSpecPackages(spec, catalog) {
+  const packages = Array.isArray(spec?.dependencies?.packages)
+    ? spec.dependencies.packages
+    : [];
+  return checkPackageDependencies(
+    packages.map(parseDependencyEntry).filter(Boolean),
+    spec?.dependencies?.nativeConfigRequired,
+    catalog
+  );
+}
+
+// Step 3: the spec's packages plus anything the code imports
+export function checkCodePackages(code, spec, catalog) {
+  const declared = (Array.isArray(spec?.dependencies?.packages) ? spec.dependencies.packages : [])
+    .map(parseDependencyEntry)
+    .filter(Boolean);
+  const imported = getCodePackageImports(code)
+    .filter((name) => !declared.some((dependency) => dependency.name === name))
+    .map((name) => ({ name, constraint: null }));
+  const findings = checkPackageDependencies(
+    [...declared, ...imported],
+    spec?.dependencies?.nativeConfigRequired,
+    catalog
+  );
+
+  for (const { name } of imported) {
+    findings.push({
+      ruleId: "undeclared-package",
+      severity: "severe",
+      package: name,
+      message: "Imported by the code but not listed in the spec's dependencies.",
+    });
+  }
+  return findings;
+}
@@ -0,0 +1,191 @@
+// Data Types, App State fields and theme tokens read from a FlutterFlow code
+// export. The browser app reads zips and folders picked by the user, the CLI
+// reads them from disk; both hand the files to buildProjectContext().
+
+// Which part of the project a file in the export describes, if any
+export function getProjectFileKind(path) {
+  const normalized = path.replace(/\\/g, "/");
+  if (/(?:^|\/)lib\/backend\/schema\/structs\/(?!index\.dart$)[^/]+\.dart$/.test(normalized)) {
+    return "struct";
+  }
+  if (/(?:^|\/)lib\/app_state\.dart$/.test(normalized)) return "appState";
+  if (/(?:^|\/)lib\/flutter_flow\/flutter_flow_theme\.dart$/.test(normalized)) {
+    return "theme";
+  }
+  return null;
+}
+
+// FlutterFlow exposes struct and App State fields as getter/setter pairs
+function parseDartAccessors(source) {
+  const setters = new Set(
+    [...source.matchAll(/\bset\s+(\w+)\s*\(/g)].map((match) => match[1])
+  );
+  return [...source.matchAll(/^[ \t]*([\w<>?, ]+?)\s+get\s+(\w+)\s*=>/gm)]
+    .filter(([, , name]) => setters.has(name))
+    .map(([, type, name]) => ({ name, type: type.trim() }));
+}
+
+function parseStructFile(source) {
+  const match = source.match(/\bclass\s+(\w+)\s+extends\s+(?:BaseStruct|FFFirebaseStruct)\b/);
+  if (!match) return null;
+  return { name: match[1], fields: parseDartAccessors(source) };
+}
+
+function parseAppStateFile(source) {
+  if (!/\bclass\s+FFAppState\b/.test(source)) return null;
+  const methods = [
+    ...source.matchAll(/^[ \t]*(?:void|Future(?:<[^>]*>)?)\s+(\w+)\s*\(/gm),
+  ].map((match) => match[1]);
+  return { fields: parseDartAccessors(source), methods: [...new Set(methods)] };
+}
+
+// Colors and text styles declared on the abstract FlutterFlowTheme class.
+// Deprecated aliases still compile, so they are known but not suggested.
+function parseThemeFile(source) {
+  const start = source.search(/abstract\s+class\s+FlutterFlowTheme\b/);
+  if (start === -1) return null;
+
+  const rest = source.slice(start);
+  const end = rest.slice(1).search(/^(?:abstract\s+)?class\s/m);
+  const body = end === -1 ? rest : rest.slice(0, end + 1);
+
+  const theme = { colors: [], textStyles: [], members: [] };
+  let deprecated = false;
+  for (const line of body.split("\n")) {
+    if (/^\s*@Deprecated\b/.test(line)) {
+      deprecated = true;
+      continue;
+    }
+    const match = line.match(
+      /^\s*(?:late\s+)?(Color|TextStyle|String|bool|double)\s+(?:get\s+)?(\w+)\s*(?:;|=>|=)/
+    );
+    if (match) {
+      const [, type, name] = match;
+      theme.members.push(name);
+      if (!deprecated && type === "Color") theme.colors.push(name);
+      if (!deprecated && type === "TextStyle") theme.textStyles.push(name);
+    }
+    if (line.trim()) deprecated = false;
+  }
+
+  theme.members = [...new Set(theme.members)];
+  theme.colors = [...new Set(theme.colors)];
+  theme.textStyles = [...new Set(theme.textStyles)];
+  return theme;
+}
+
+export function buildProjectContext(name, files) {
+  const context = {
+    name,
+    importedAt: Date.now(),
+    structs: [],
+    appState: null,
+    theme: null,
+  };
+
+  for (const { path, text } of files) {
+    const kind = getProjectFileKind(path);
+    if (kind === "struct") {
+      const struct = parseStructFile(text);
+      if (struct) context.structs.push(struct);
+    } else if (kind === "appState") {
+      context.appState = parseAppStateFile(text);
+    } else if (kind === "theme") {
+      context.theme = parseThemeFile(text);
+    }
+  }
+
+  if (!context.structs.length && !context.appState && !context.theme) {
+    throw new Error(
+      "No FlutterFlow project files found. Expected lib/backend/schema/structs/, lib/app_state.dart or lib/flutter_flow/flutter_flow_theme.dart in the export."
+    );
+  }
+
+  context.structs.sort((a, b) => a.name.localeCompare(b.name));
+  return context;
+}
+
+// Minimal zip reader: walks the central directory and inflates only the
+// files we need, using the browser's DecompressionStream
+export async function readZipEntries(file, wanted) {
+  const buffer = await file.arrayBuffer();
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  // End of central directory record: 22 bytes plus an optional comment
+  let directoryEnd = -1;
+  const searchStart = Math.max(0, buffer.byteLength - 22 - 0xffff);
+  for (let i = buffer.byteLength - 22; i >= searchStart; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      directoryEnd = i;
+      break;
+    }
+  }
+  if (directoryEnd === -1) throw new Error(`${file.name} is not a zip archive.`);
+
+  const count = view.getUint16(directoryEnd + 10, true);
+  let offset = view.getUint32(directoryEnd + 16, true);
+  if (offset === 0xffffffff) throw new Error("ZIP64 archives are not supported.");
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error(`${file.name} has a corrupt zip directory.`);
+    }
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!wanted(path)) continue;
+
+    const dataStart =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+    entries.push({ path, text: await inflateZipEntry(data, method) });
+  }
+  return entries;
+}
+
+async function inflateZipEntry(data, method) {
+  if (method === 0) return new TextDecoder().decode(data);
+  if (method !== 8) throw new Error(`Unsupported zip compression method ${method}.`);
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+// Project section appended to the architect and dissector prompts
+export function formatProjectContext(context) {
+  if (!context) return "";
+
+  const lines = [`EXISTING FLUTTERFLOW PROJECT ("${context.name}"):`];
+  if (context.structs.length) {
+    lines.push("Data Types (class names as used in Dart):");
+    for (const struct of context.structs) {
+      const fields = struct.fields.map((field) => `${field.name}: ${field.type}`);
+      lines.push(`- ${struct.name} { ${fields.join(", ")} }`);
+    }
+  }
+  if (context.appState) {
+    lines.push("App State fields (FFAppState()):");
+    lines.push(
+      ...context.appState.fields.map((field) => `- ${field.name}: ${field.type}`)
+    );
+  }
+  if (context.theme) {
+    lines.push(
+      `Theme colors (FlutterFlowTheme.of(context).<name>): ${context.theme.colors.join(", ")}`,
+      `Theme text styles: ${context.theme.textStyles.join(", ")}`
+    );
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,213 @@
+// These constraints are shared across all three pipeline agents to ensure consistency.
+// They make up the default rule pack (see rules.js for team overrides).
+// Based on "The Definitive Guide to Integrating Dart Artifacts into FlutterFlow Environments"
+
+const FF_CORE_PHILOSOPHY = `## THE FLUTTERFLOW INTEGRATION PHILOSOPHY
+
+**FlutterFlow is the host organism.** Your Dart must conform to FlutterFlow's boilerplate, parsing rules, and parameter system - not the other way around.
+
+Key principles:
+1. **Settings and code must match.** FlutterFlow binds custom code by name/signature. If the UI says the widget/action is \`NeuroRadialGauge\`, your Dart must export that exact class/function name. Name mismatches are a top cause of "mysterious" breakage.
+2. **Never modify the auto-import section.** FlutterFlow injects imports above a hard boundary (\`// Do not remove or modify the code above this line\`). Code goes BELOW that line only.
+3. **You are responsible for dependencies.** FlutterFlow won't auto-add pubspec packages. If the code imports it, you must add it in Project Dependencies (and sometimes native config).
+4. **The Parser Gap is real.** FlutterFlow parses custom code to power the UI (parameter panels, variable pickers). That parser is stricter than Dart itself - valid Dart can still be "invalid" to FlutterFlow.`;
+
+const FF_ARTIFACT_TYPES = `## THE FOUR ARTIFACT SURFACES
+
+### A) Custom Functions (Pure/Sync Logic Silo)
+- **Purpose:** Synchronous data manipulation, math calculations, string formatting, data transformation
+- **CRITICAL RESTRICTION:** NO external imports allowed - only dart:core, dart:math, dart:convert, dart:collection
+- **Returns:** Synchronous value (String, int, double, bool, List, Map, etc.) - NOT Future
+- **Use when:** Pure computation with no side effects, no async operations, no external dependencies
+- **Examples:** Luhn algorithm validation, date formatting, list filtering, math calculations
+
+### B) Custom Actions (Async/Side Effects Silo)
+- **Purpose:** Side effects, API calls, complex logic chains, third-party library usage, file operations
+- **Return type:** ALWAYS Future<T> - even synchronous logic must be wrapped
+- **External imports:** ALLOWED (packages from pub.dev, added via Project Dependencies)
+- **Optional:** Include BuildContext toggle for context-dependent work
+- **Use when:** Anything async, anything needing external packages, anything with side effects
+- **Examples:** HTTP requests, Bluetooth/sensors, file I/O, device APIs, auth flows
+
+### C) Custom Widgets (Visual/UI Silo)
+- **Purpose:** Custom UI not available in FlutterFlow's component library
+- **CRITICAL:** Must accept \`width\` and \`height\` parameters (both \`double?\`, nullable) - FlutterFlow injects these
+- **Data passing:** Strictly via constructor parameters - no direct access to parent page state
+- **FFAppState access:** Only if explicitly passed as parameter, or use FFAppState().update() pattern
+- **Editor behavior:** Widget is a "black box" - renders as placeholder in design view until compiled
+- **Use when:** Charts, gauges, CustomPainter, complex animations, gesture-heavy interactions
+- **Examples:** Radial gauges, custom charts, signature pads, audio visualizers, game elements
+
+### D) Code Files (Classes/Enums/Utilities)
+- **Purpose:** Reusable models, enums, utility classes accessible in variable dialogs/action flows
+- **PARSER LIMITATIONS (documented by FlutterFlow):**
+  * NO generics
+  * NO function-typed fields/params
+  * NO extensions
+- **Translation:** Keep Code Files boring and parse-friendly. Anything "clever" belongs elsewhere.
+- **Use when:** Shared utility functions, simple enum definitions, parse-friendly helper classes`;
+
+const FF_TYPE_SYSTEM = `## FLUTTERFLOW TYPE SYSTEM (Parameters)
+
+Only these parameter types work in FlutterFlow's Custom Code UI:
+- **Primitives:** String, bool, int, double, Color, DateTime
+- **Lists of primitives:** List<String>, List<int>, List<double>, List<bool>
+- **FlutterFlow Structs:** \`SomeNameStruct\` or \`List<SomeNameStruct>\` (must exist in FF Data Types)
+- **Special types:** DocumentReference, LatLng (only if project uses Firebase/Maps)
+- **Action callbacks:** \`Future<dynamic> Function()?\` (Custom Widgets only, for triggering FF actions)
+
+**IMPORTANT:** Never define new Dart model classes for data exchange. If structured data is needed, use FlutterFlow Structs created in Data Types. Custom Dart classes can only be used internally (private) within your code file.`;
+
+const FF_STATE_PATTERNS = `## STATE & DATA: FFAppState Patterns
+
+FlutterFlow's generated \`FFAppState\` is a **global singleton that extends ChangeNotifier**.
+
+### Reading state (non-reactive):
+\`\`\`dart
+final v = FFAppState().myVar;
+\`\`\`
+
+### Writing state (reactive across app):
+\`\`\`dart
+FFAppState().update(() => FFAppState().myVar = newValue);
+\`\`\`
+This triggers \`notifyListeners()\` and updates all subscribed pages.
+
+### Returning values from Custom Widgets:
+FlutterFlow doesn't directly "pull" values out of widgets. Two patterns:
+1. **Callbacks:** Use \`Future<dynamic> Function()?\` action parameters
+2. **AppState workaround:** Store result in FFAppState when callback typing is fragile:
+\`\`\`dart
+FFAppState().update(() {
+  FFAppState().localValue = 'setvalue';
+});
+\`\`\``;
+
+const FF_FORBIDDEN_PATTERNS = `## FORBIDDEN PATTERNS (Will cause immediate build failures)
+
+These patterns are TOXIC in FlutterFlow custom code:
+- \`void main()\` or \`main()\` function
+- \`runApp()\` call
+- \`MaterialApp\` widget
+- \`CupertinoApp\` or \`WidgetsApp\`
+- \`Scaffold\` widget (unless spec explicitly requires full-screen scaffold, which is rare)
+- \`MyApp\` or similar wrapper classes
+- ANY \`import\` statements (FlutterFlow manages all imports)
+- Custom Dart classes for data models (use FF Structs instead)
+- Generics, extensions, or function-typed params in Code Files`;
+
+const FF_REQUIRED_PATTERNS = `## REQUIRED PATTERNS (For FlutterFlow compatibility)
+
+### Null Safety
+- 100% null-safe Dart required - no exceptions
+- Every nullable input must have explicit defaults or guards
+- NEVER use the \`!\` operator unless mathematically proven safe - prefer \`??\` or \`?.\`
+- Handle null width/height gracefully in Custom Widgets
+
+### Widget Parameters (Custom Widgets)
+- ALWAYS include as first parameters:
+  \`\`\`dart
+  final double? width;
+  final double? height;
+  \`\`\`
+- Handle null width/height - never assume they have values
+- Use LayoutBuilder for size-dependent rendering:
+  \`\`\`dart
+  LayoutBuilder(
+    builder: (context, constraints) {
+      final w = widget.width ?? constraints.maxWidth;
+      final h = widget.height ?? constraints.maxHeight;
+      // Use w and h safely
+    }
+  )
+  \`\`\`
+
+### Theming
+- Use \`FlutterFlowTheme.of(context).primary\` instead of \`Colors.blue\`
+- Use \`FlutterFlowTheme.of(context).primaryText\` for text colors
+- Use \`FlutterFlowTheme.of(context).secondaryBackground\` for surfaces
+- Only hardcode colors if intentional and documented
+
+### Callbacks & Actions
+- Action callback signature: \`final Future<dynamic> Function()? onSomeAction;\`
+- To invoke callbacks: \`widget.onSomeAction?.call();\`
+- Do NOT embed navigation/database writes inside widgets - expose Action Parameters
+
+### Resource Management
+- ALWAYS dispose() controllers: AnimationController, StreamSubscription, TextEditingController
+- Use \`with SingleTickerProviderStateMixin\` or \`TickerProviderStateMixin\` for animations
+- Initialize AnimationController in initState(), not in build()
+- Use didUpdateWidget() to respond to parameter changes from FlutterFlow`;
+
+const FF_INTEGRATION_GAP_TABLE = `## THE INTEGRATION GAP (What AI generates vs. What FlutterFlow needs)
+
+| Issue | What AI Typically Generates | What FlutterFlow Actually Needs |
+|-------|----------------------------|--------------------------------|
+| Project Scope | Full app with main() | Fragment/component only |
+| Imports | import statements | None (FF manages all imports) |
+| Dependencies | Auto-added in code | Manual entry in Project Dependencies UI |
+| Data Models | \`class User {...}\` | \`UserStruct\` (FF Data Type) |
+| State Access | \`FFAppState()\` directly | Passed as parameter or use update() |
+| Colors | \`Colors.blue\` | \`FlutterFlowTheme.of(context).primary\` |
+| Callbacks | \`ValueChanged<T>\` | \`Future<dynamic> Function()?\` |
+| Widget Sizing | Assumes parent constraints | Must handle null width/height |`;
+
+const FF_TROUBLESHOOTING_CHECKLIST = `## TROUBLESHOOTING CHECKLIST (Fast elimination order)
+
+When something fails, check these in order:
+1. **Name mismatch** between FlutterFlow UI and Dart symbol (widget/action/function name)
+2. **Parameters mismatch** (including nullability + isList flag in FF UI)
+3. **Imports** placed above the boundary (illegal) or missing required imports below it
+4. **Missing dependency** in Project Dependencies
+5. **Type mismatch** between Struct vs Dart class
+6. **FFAppState update not triggering rebuild** - didn't use \`FFAppState().update(() { ... })\`
+7. **Web analyzer lies** - if code is correct but editor complains, compile/export/run locally; consider Exclude from Compilation
+8. **Callback param type inference issues** (common with Firestore refs) - work around with AppState or JSON/primitive transport`;
+
+// --- NEW SECTIONS COMPLETED BASED ON RESEARCH (DEFINITIVE GUIDE) ---
+
+const FF_PROMPT_PROTOCOL = `## THE "CLEAN ROOM" PROMPT PROTOCOL
+Use this preamble for all code generation to ensure FlutterFlow compatibility.
+
+> "Act as a Senior Flutter Developer."
+> 1. **Context:** This widget will be injected into a FlutterFlow environment.
+> 2. **Constraints:**
+>    * **Do NOT use:** \`Scaffold\`, \`MaterialApp\`, \`AppBar\`, or \`SystemChrome\`.
+>    * **State:** Keep state local to the widget.
+>    * **Data:** Accept \`[DataTypeStruct]\` as a required parameter (replace with Struct, not Class).
+>    * **Styling:** Use \`Theme.of(context)\` for colors; do not hardcode hex values.
+>    * **Null Safety:** Assume strict null safety.
+>    * **Sizing:** Expect \`width\` and \`height\` parameters to be nullable.`;
+
+const FF_WORKFLOW_PROTOCOL = `## TRI-SURFACE INTEGRATION WORKFLOW
+
+### Phase 1: Extraction (From AI/Local to FF)
+1. **Isolate Core Class:** Extract only the main \`StatefulWidget\` or \`StatelessWidget\`.
+2. **Identify Helpers:** Separate internal data models - these MUST be converted to FlutterFlow Structs.
+3. **Capture Imports:** List all \`import package:...\`. These must be manually added to FF Project Dependencies.
+
+### Phase 2: Injection (Into FF)
+1. **Prepare Host:** Create Custom Widget in FF with parameters matching the extracted code.
+2. **Refactor Name:** Ensure \`class [WidgetName]\` matches the FF Custom Widget name exactly.
+3. **Refactor Colors:** Replace \`Colors.red\` with \`FlutterFlowTheme.of(context).error\`.
+4. **Refactor Logic:** Convert internal navigation/API calls to \`Future Function()\` callbacks.`;
+
+// The built-in rule pack: the sections above, in prompt order. Bump the
+// version whenever a section changes, since runs record it.
+export const DEFAULT_RULE_PACK = {
+  id: "flutterflow",
+  name: "FlutterFlow defaults",
+  version: "1.0.0",
+  sections: [
+    { id: "core-philosophy", title: "Integration philosophy", content: FF_CORE_PHILOSOPHY },
+    { id: "artifact-types", title: "Artifact surfaces", content: FF_ARTIFACT_TYPES },
+    { id: "type-system", title: "Type system", content: FF_TYPE_SYSTEM },
+    { id: "state-patterns", title: "State & data (FFAppState)", content: FF_STATE_PATTERNS },
+    { id: "forbidden-patterns", title: "Forbidden patterns", content: FF_FORBIDDEN_PATTERNS },
+    { id: "required-patterns", title: "Required patterns", content: FF_REQUIRED_PATTERNS },
+    { id: "integration-gap", title: "Integration gap", content: FF_INTEGRATION_GAP_TABLE },
+    { id: "prompt-protocol", title: "Clean room prompt protocol", content: FF_PROMPT_PROTOCOL },
+    { id: "workflow-protocol", title: "Tri-surface workflow", content: FF_WORKFLOW_PROTOCOL },
+    { id: "troubleshooting", title: "Troubleshooting checklist", content: FF_TROUBLESHOOTING_CHECKLIST },
+  ],
+};
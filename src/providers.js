@@ -0,0 +1,703 @@
+// Provider calls (Gemini, Claude, OpenAI and local OpenAI-compatible servers)
+// with streaming, usage reporting and the shared retry policy. Where requests
+// go and which keys they carry is set with configureProviders(): the browser
+// app goes through its same-origin /api proxies, the CLI calls the provider
+// APIs directly.
+
+import { FALLBACK_MODEL_KEY, MODEL_CATALOG, modelSupportsImages } from "./models.js";
+
+// Shared retry policy for every provider call (exponential backoff + jitter)
+const RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+const providerConfig = {
+  // Through the app's proxies by default, which also add server-side keys
+  baseUrls: {
+    gemini: "/api/gemini",
+    anthropic: "/api/anthropic",
+    openai: "/api/openai",
+  },
+  // Direct calls send OpenAI keys as Authorization; the proxies take them in
+  // x-openai-api-key (see openai-proxy.php)
+  direct: false,
+  getApiKey: () => "",
+  hasServerKey: () => false,
+  getLocalEndpoint: () => ({ baseUrl: "", protocol: "chat", model: "", apiKey: "" }),
+};
+
+export function configureProviders(overrides) {
+  Object.assign(providerConfig, overrides);
+}
+
+// fetch() and stream reads reject with an AbortError once a run is cancelled
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+// --- RETRY POLICY ---
+// Timeouts, rate limits, overload (Anthropic's 529) and gateway errors are
+// worth retrying; anything else (401, 400 invalid request...) is fatal.
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+// Error raised for a failed provider response. Carries the HTTP status and
+// any Retry-After hint so withRetry can decide what to do with it.
+class ApiError extends Error {
+  constructor(message, { status = 0, retryAfterMs = null, retryable } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable ?? RETRYABLE_STATUSES.has(status);
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createApiError(message, response) {
+  return new ApiError(message, {
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+  });
+}
+
+// Rejections by the proxy's own safeguards (origin, path/model allowlists,
+// body cap, rate limits) carry an X-CCC-Proxy-Error code and a readable
+// message; show that instead of a bare status code. 429s stay retryable.
+function getProxyError(response, errorText) {
+  const code = response.headers.get("x-ccc-proxy-error");
+  if (!code) return null;
+
+  let message = errorText;
+  try {
+    message = JSON.parse(errorText).error || errorText;
+  } catch {
+    // Not JSON: keep the raw text
+  }
+  return createApiError(`Proxy rejected the request (${code}): ${message}`, response);
+}
+
+function isRetryableError(error) {
+  if (isAbortError(error)) return false;
+  if (error instanceof ApiError) return error.retryable;
+  // fetch() rejects with a TypeError on dropped connections and timeouts
+  return error instanceof TypeError;
+}
+
+// Resolve after ms, or reject straight away when the run is cancelled
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
+function getRetryDelay(attempt, error) {
+  if (error?.retryAfterMs != null) {
+    return Math.min(error.retryAfterMs, RETRY_POLICY.maxDelayMs);
+  }
+  const exponential = Math.min(
+    RETRY_POLICY.baseDelayMs * 2 ** attempt,
+    RETRY_POLICY.maxDelayMs
+  );
+  // Jitter between 50% and 100% so parallel calls don't retry in lockstep
+  return Math.round(exponential * (0.5 + Math.random() * 0.5));
+}
+
+// Run operation, retrying retryable failures per RETRY_POLICY.
+// onRetry({ attempt, maxRetries, delayMs, error }) fires before each wait.
+async function withRetry(operation, { signal, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= RETRY_POLICY.maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, error);
+      console.warn(
+        `Retrying in ${delayMs}ms (attempt ${attempt + 1}/${RETRY_POLICY.maxRetries}):`,
+        error.message
+      );
+      onRetry?.({
+        attempt: attempt + 1,
+        maxRetries: RETRY_POLICY.maxRetries,
+        delayMs,
+        error,
+      });
+      await sleep(delayMs, signal);
+    }
+  }
+}
+
+// Read a text/event-stream response body and invoke onEvent for every
+// complete server-sent event as soon as it arrives.
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const dispatch = (block) => {
+    let event = "message";
+    const dataLines = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith("event:")) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+    }
+    const data = dataLines.join("\n");
+    if (dataLines.length === 0 || data === "[DONE]") return;
+    onEvent({ event, data });
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+}
+
+async function callGemini(
+  prompt,
+  systemInstruction,
+  modelId = MODEL_CATALOG["gemini-3-flash"].apiModel,
+  options = {}
+) {
+  // When onChunk is given the response is streamed and onChunk receives the
+  // accumulated text after every delta
+  const { onChunk } = options;
+  const streaming = typeof onChunk === "function";
+  const geminiApiKey = providerConfig.getApiKey("gemini");
+
+  // Same-origin proxy in the browser (avoids CORS), the API itself from the CLI
+  const url = streaming
+    ? `${providerConfig.baseUrls.gemini}/v1beta/models/${modelId}:streamGenerateContent?alt=sse`
+    : `${providerConfig.baseUrls.gemini}/v1beta/models/${modelId}:generateContent`;
+  // Attached images are sent as inline parts ahead of the text prompt
+  const imageParts = (options.images || []).map((image) => ({
+    inlineData: { mimeType: image.mimeType, data: image.data },
+  }));
+
+  const payload = {
+    contents: [{ parts: [...imageParts, { text: prompt }] }],
+    systemInstruction: { parts: [{ text: systemInstruction }] },
+    generationConfig: {
+      maxOutputTokens: 16384,
+    },
+  };
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        // Without a browser key the proxy uses its server key
+        ...(geminiApiKey && { "x-goog-api-key": geminiApiKey }),
+      },
+      body: JSON.stringify(payload),
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("Gemini API Error:", response.status, errorText);
+
+      const proxyError = getProxyError(response, errorText);
+      if (proxyError) throw proxyError;
+      throw createApiError(`Gemini API failed: ${response.status}`, response);
+    }
+
+    if (streaming) {
+      let text = "";
+      let usageMetadata = null;
+      await readEventStream(response, ({ data }) => {
+        const chunk = JSON.parse(data);
+        // Every chunk carries the running totals; the last one is final
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+        const delta = (chunk.candidates?.[0]?.content?.parts || [])
+          .map((part) => part.text || "")
+          .join("");
+        if (delta) {
+          text += delta;
+          onChunk(text);
+        }
+      });
+      reportGeminiUsage(usageMetadata, options.onUsage);
+      return text;
+    }
+
+    const data = await response.json();
+    reportGeminiUsage(data.usageMetadata, options.onUsage);
+    return data.candidates?.[0]?.content?.parts?.[0]?.text;
+  } catch (error) {
+    console.error("Gemini call failed:", error);
+    throw error;
+  }
+}
+
+// Thinking tokens are billed as output, so they are counted with it
+function reportGeminiUsage(usageMetadata, onUsage) {
+  if (!usageMetadata || !onUsage) return;
+  onUsage({
+    inputTokens: usageMetadata.promptTokenCount || 0,
+    outputTokens:
+      (usageMetadata.candidatesTokenCount || 0) +
+      (usageMetadata.thoughtsTokenCount || 0),
+  });
+}
+
+async function callClaude(prompt, systemInstruction, options = {}) {
+  const anthropicApiKey = providerConfig.getApiKey("anthropic");
+  if (!anthropicApiKey && !providerConfig.hasServerKey("anthropic")) {
+    throw new Error("Anthropic API key not found");
+  }
+
+  const { onChunk } = options;
+  const streaming = typeof onChunk === "function";
+
+  // Attached images become image content blocks ahead of the text
+  const images = options.images || [];
+  const content =
+    images.length > 0
+      ? [
+          ...images.map((image) => ({
+            type: "image",
+            source: {
+              type: "base64",
+              media_type: image.mimeType,
+              data: image.data,
+            },
+          })),
+          { type: "text", text: prompt },
+        ]
+      : prompt;
+
+  // Same-origin proxy in the browser (avoids CORS), the API itself from the CLI
+  const url = `${providerConfig.baseUrls.anthropic}/v1/messages`;
+  const payload = {
+    model: options.apiModel || MODEL_CATALOG["claude-4.5-opus"].apiModel,
+    max_tokens: 16384,
+    system: systemInstruction,
+    messages: [{ role: "user", content }],
+    stream: streaming,
+  };
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(anthropicApiKey && { "x-api-key": anthropicApiKey }),
+        "anthropic-version": "2023-06-01",
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      body: JSON.stringify(payload),
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("Claude API Error:", response.status, errorText);
+
+      const proxyError = getProxyError(response, errorText);
+      if (proxyError) throw proxyError;
+
+      if (response.status === 401) {
+        throw createApiError(
+          "Claude API authentication failed. Please check your Anthropic API key in the .env file.",
+          response
+        );
+      }
+
+      throw createApiError(`Claude API failed: ${response.status}`, response);
+    }
+
+    if (streaming) {
+      let text = "";
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      await readEventStream(response, ({ data }) => {
+        const event = JSON.parse(data);
+        // Input usage arrives with message_start, output totals with message_delta
+        if (event.type === "message_start") {
+          usage.inputTokens = getClaudeInputTokens(event.message?.usage);
+        } else if (event.type === "message_delta" && event.usage) {
+          usage.outputTokens = event.usage.output_tokens || 0;
+        }
+        if (event.type === "error") {
+          // overloaded_error / api_error mid-stream are transient
+          throw new ApiError(
+            `Claude API stream error: ${event.error?.message || "unknown error"}`,
+            {
+              retryable: ["overloaded_error", "api_error", "rate_limit_error"].includes(
+                event.error?.type
+              ),
+            }
+          );
+        }
+        if (
+          event.type === "content_block_delta" &&
+          event.delta?.type === "text_delta"
+        ) {
+          text += event.delta.text;
+          onChunk(text);
+        }
+      });
+      options.onUsage?.(usage);
+      return text;
+    }
+
+    const data = await response.json();
+    if (data.usage) {
+      options.onUsage?.({
+        inputTokens: getClaudeInputTokens(data.usage),
+        outputTokens: data.usage.output_tokens || 0,
+      });
+    }
+    return data.content?.[0]?.text;
+  } catch (error) {
+    console.error("Claude call failed:", error);
+    throw error;
+  }
+}
+
+async function callOpenAI(prompt, systemInstruction, options = {}) {
+  const openaiApiKey = providerConfig.getApiKey("openai");
+  if (!openaiApiKey && !providerConfig.hasServerKey("openai")) {
+    throw new Error("OpenAI API key not found");
+  }
+
+  const { onChunk } = options;
+  const streaming = typeof onChunk === "function";
+
+  // GPT-5-Codex models require the Responses API, not Chat Completions
+  const url = `${providerConfig.baseUrls.openai}/v1/responses`;
+  
+  // Responses API uses 'input' with instructions, not messages array
+  // Note: temperature is not supported with codex models
+  const payload = {
+    model: options.apiModel || MODEL_CATALOG["gpt-5.1-codex-max"].apiModel,
+    instructions: systemInstruction,
+    input: prompt,
+    max_output_tokens: 16384,
+    stream: streaming,
+  };
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(openaiApiKey &&
+          (providerConfig.direct
+            ? { Authorization: `Bearer ${openaiApiKey}` }
+            : { "x-openai-api-key": openaiApiKey })),
+      },
+      body: JSON.stringify(payload),
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("OpenAI API Error:", response.status, errorText);
+
+      const proxyError = getProxyError(response, errorText);
+      if (proxyError) throw proxyError;
+
+      // Handle specific error types
+      if (
+        errorText.includes("image") ||
+        errorText.includes("vision") ||
+        errorText.includes("media")
+      ) {
+        throw createApiError(
+          "OpenAI API error: This model doesn't support image input. Please use Gemini 3.0 Pro for image-based requests.",
+          response
+        );
+      }
+
+      if (response.status === 401) {
+        throw createApiError(
+          "OpenAI API authentication failed. Please check your OpenAI API key in the .env file.",
+          response
+        );
+      }
+
+      throw createApiError(`OpenAI API failed: ${response.status}`, response);
+    }
+
+    if (streaming) {
+      return await readResponsesStream(
+        response,
+        onChunk,
+        "OpenAI API",
+        options.onUsage
+      );
+    }
+
+    const data = await response.json();
+    reportResponsesUsage(data.usage, options.onUsage);
+    return extractResponsesText(data);
+  } catch (error) {
+    console.error("OpenAI call failed:", error);
+    throw error;
+  }
+}
+
+// Cache reads and writes are still input tokens
+function getClaudeInputTokens(usage) {
+  if (!usage) return 0;
+  return (
+    (usage.input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0)
+  );
+}
+
+// Responses API returns output array with reasoning and message objects
+// Find the message object and extract text from content
+function extractResponsesText(data) {
+  const messageOutput = data.output?.find(item => item.type === "message");
+  const textContent = messageOutput?.content?.find(c => c.type === "output_text");
+  return textContent?.text || "";
+}
+
+// Responses API usage (reasoning tokens are already included in output_tokens)
+function reportResponsesUsage(usage, onUsage) {
+  if (!usage || !onUsage) return;
+  onUsage({
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+  });
+}
+
+async function readResponsesStream(response, onChunk, sourceLabel, onUsage) {
+  let text = "";
+  await readEventStream(response, ({ data }) => {
+    const event = JSON.parse(data);
+    if (event.type === "response.completed") {
+      reportResponsesUsage(event.response?.usage, onUsage);
+    }
+    if (event.type === "error" || event.type === "response.failed") {
+      const message =
+        event.message || event.response?.error?.message || "unknown error";
+      const code = event.code || event.response?.error?.code;
+      throw new ApiError(`${sourceLabel} stream error: ${message}`, {
+        retryable: ["server_error", "rate_limit_exceeded"].includes(code),
+      });
+    }
+    if (event.type === "response.output_text.delta") {
+      text += event.delta;
+      onChunk(text);
+    }
+  });
+  return text;
+}
+
+// Call a user-supplied OpenAI-compatible server directly from the browser.
+// Nothing goes through the /api proxies, so requests never leave the
+// network the server lives on.
+async function callLocalModel(prompt, systemInstruction, options = {}) {
+  const { baseUrl, protocol, model, apiKey } = providerConfig.getLocalEndpoint();
+  if (!baseUrl || !model) {
+    throw new Error(
+      "Local model endpoint is not configured. Set its base URL and model name in API Keys."
+    );
+  }
+
+  const { onChunk } = options;
+  const streaming = typeof onChunk === "function";
+  const useResponses = protocol === "responses";
+
+  const url = `${baseUrl}/${useResponses ? "responses" : "chat/completions"}`;
+  const payload = useResponses
+    ? {
+        model,
+        instructions: systemInstruction,
+        input: prompt,
+        max_output_tokens: 16384,
+        stream: streaming,
+      }
+    : {
+        model,
+        messages: [
+          { role: "system", content: systemInstruction },
+          { role: "user", content: prompt },
+        ],
+        max_tokens: 16384,
+        stream: streaming,
+        // Ask for a final usage chunk when streaming
+        ...(streaming && { stream_options: { include_usage: true } }),
+      };
+
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(payload),
+        signal: options.signal,
+      });
+    } catch (error) {
+      // fetch() rejects with a TypeError when the server is down or CORS blocks
+      // it. Stays retryable like any dropped connection (e.g. a restarting server).
+      if (error instanceof TypeError) {
+        throw new ApiError(
+          `Local model endpoint unreachable at ${baseUrl}. Check that the server is running and allows requests from this page (CORS).`,
+          { retryable: true }
+        );
+      }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("Local model Error:", response.status, errorText);
+
+      if (response.status === 401) {
+        throw createApiError(
+          "Local model authentication failed. Please check the endpoint API key in API Keys.",
+          response
+        );
+      }
+
+      throw createApiError(`Local model request failed: ${response.status}`, response);
+    }
+
+    if (useResponses) {
+      if (streaming) {
+        return await readResponsesStream(
+          response,
+          onChunk,
+          "Local model",
+          options.onUsage
+        );
+      }
+      const data = await response.json();
+      reportResponsesUsage(data.usage, options.onUsage);
+      return extractResponsesText(data);
+    }
+
+    if (streaming) {
+      let text = "";
+      let usage = null;
+      await readEventStream(response, ({ data }) => {
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw new Error(
+            `Local model stream error: ${chunk.error.message || chunk.error}`
+          );
+        }
+        if (chunk.usage) usage = chunk.usage;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onChunk(text);
+        }
+      });
+      reportChatUsage(usage, options.onUsage);
+      return text;
+    }
+
+    const data = await response.json();
+    reportChatUsage(data.usage, options.onUsage);
+    return data.choices?.[0]?.message?.content || "";
+  } catch (error) {
+    console.error("Local model call failed:", error);
+    throw error;
+  }
+}
+
+// Chat Completions usage (prompt/completion naming)
+function reportChatUsage(usage, onUsage) {
+  if (!usage || !onUsage) return;
+  onUsage({
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+  });
+}
+
+// Route a prompt to the provider behind a MODEL_CATALOG entry
+export async function callModel(modelKey, prompt, systemInstruction, options = {}) {
+  const model = MODEL_CATALOG[modelKey];
+  if (!model) {
+    throw new Error(`Unknown model: ${modelKey}`);
+  }
+
+  // Usage is reported against the catalog key of the model that answered
+  const callProvider = (key) => {
+    const callOptions = {
+      ...options,
+      apiModel: MODEL_CATALOG[key].apiModel,
+      // Never send images to a model that doesn't declare support for them
+      images: modelSupportsImages(key) ? options.images : [],
+      onUsage: options.onUsage && ((usage) => options.onUsage({ ...usage, model: key })),
+    };
+
+    switch (MODEL_CATALOG[key].provider) {
+      case "anthropic":
+        return callClaude(prompt, systemInstruction, callOptions);
+      case "openai":
+        return callOpenAI(prompt, systemInstruction, callOptions);
+      case "local":
+        return callLocalModel(prompt, systemInstruction, callOptions);
+      case "gemini":
+      default:
+        return callGemini(prompt, systemInstruction, callOptions.apiModel, callOptions);
+    }
+  };
+
+  const retryOptions = { signal: options.signal, onRetry: options.onRetry };
+
+  try {
+    return await withRetry(() => callProvider(modelKey), retryOptions);
+  } catch (error) {
+    // Gemini preview models are often overloaded; once the retries are used
+    // up, give the stable fallback model one attempt
+    if (
+      model.provider === "gemini" &&
+      modelKey !== FALLBACK_MODEL_KEY &&
+      isRetryableError(error)
+    ) {
+      console.log(`${model.label} still unavailable, trying fallback model...`);
+      return callProvider(FALLBACK_MODEL_KEY);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,160 @@
+// Rule packs: the FlutterFlow knowledge in the agents' system prompts as
+// named sections. The built-in pack (DEFAULT_RULE_PACK in prompts.js) is the
+// base; a team layer on top can replace, extend or switch off its sections
+// and add new ones. Runs record which versions produced them.
+
+import { DEFAULT_RULE_PACK } from "./prompts.js";
+
+export const RULE_PACK_FORMAT = "ccc-rule-pack";
+
+const SECTION_SEPARATOR = "\n\n---\n\n";
+const SECTION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const DEFAULT_SECTIONS = new Map(
+  DEFAULT_RULE_PACK.sections.map((section) => [section.id, section])
+);
+
+// Validate a team layer read from JSON. Entries that only repeat the
+// defaults are dropped, so an exported full pack imports as a no-op.
+//
+//   { "format": "ccc-rule-pack", "name": "Acme", "version": "3",
+//     "sections": [{ "id": "required-patterns", "append": "..." },
+//                  { "id": "prompt-protocol", "enabled": false },
+//                  { "id": "house-rules", "title": "House rules", "content": "..." }] }
+export function parseRuleOverrides(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("A rule pack must be a JSON object.");
+  }
+  if (data.format !== RULE_PACK_FORMAT) {
+    throw new Error(`Expected "format": "${RULE_PACK_FORMAT}".`);
+  }
+  if (typeof data.name !== "string" || !data.name.trim()) {
+    throw new Error('The rule pack needs a "name".');
+  }
+  if (!["string", "number"].includes(typeof data.version) || !String(data.version).trim()) {
+    throw new Error('The rule pack needs a "version".');
+  }
+  if (!Array.isArray(data.sections)) {
+    throw new Error('The rule pack needs a "sections" array.');
+  }
+
+  const seen = new Set();
+  const sections = data.sections.map((section, index) => {
+    const where = `sections[${index}]`;
+    if (typeof section?.id !== "string" || !SECTION_ID_PATTERN.test(section.id)) {
+      throw new Error(`${where}.id must be a lowercase id such as "house-rules".`);
+    }
+    if (seen.has(section.id)) throw new Error(`Section "${section.id}" appears twice.`);
+    seen.add(section.id);
+
+    for (const field of ["title", "content", "append"]) {
+      if (section[field] !== undefined && typeof section[field] !== "string") {
+        throw new Error(`${where}.${field} must be a string.`);
+      }
+    }
+    if (section.enabled !== undefined && typeof section.enabled !== "boolean") {
+      throw new Error(`${where}.enabled must be true or false.`);
+    }
+
+    const base = DEFAULT_SECTIONS.get(section.id);
+    if (!base && !section.content?.trim()) {
+      throw new Error(`New section "${section.id}" needs "content".`);
+    }
+
+    const entry = { id: section.id };
+    if (section.title?.trim() && section.title !== base?.title) entry.title = section.title.trim();
+    if (section.content !== undefined && section.content !== base?.content) entry.content = section.content;
+    if (section.append?.trim()) entry.append = section.append;
+    if (section.enabled === false) entry.enabled = false;
+    return entry;
+  });
+
+  return {
+    format: RULE_PACK_FORMAT,
+    name: data.name.trim(),
+    version: String(data.version).trim(),
+    sections: sections.filter((section) => Object.keys(section).length > 1 || !DEFAULT_SECTIONS.has(section.id)),
+  };
+}
+
+function joinContent(content, append) {
+  return [content, append].filter((part) => part?.trim()).join("\n\n");
+}
+
+// Layer a team pack (or null) over the defaults. Default sections keep
+// their order; team sections follow. source is "default", "override" or
+// "team".
+export function resolveRulePack(overrides = null) {
+  const layer = new Map((overrides?.sections || []).map((section) => [section.id, section]));
+
+  const sections = DEFAULT_RULE_PACK.sections.map((section) => {
+    const override = layer.get(section.id);
+    if (!override) return { ...section, enabled: true, source: "default" };
+    return {
+      id: section.id,
+      title: override.title || section.title,
+      content: joinContent(override.content ?? section.content, override.append),
+      enabled: override.enabled !== false,
+      source: "override",
+    };
+  });
+
+  for (const section of overrides?.sections || []) {
+    if (DEFAULT_SECTIONS.has(section.id)) continue;
+    sections.push({
+      id: section.id,
+      title: section.title || section.id,
+      content: joinContent(section.content, section.append),
+      enabled: section.enabled !== false,
+      source: "team",
+    });
+  }
+
+  return {
+    id: DEFAULT_RULE_PACK.id,
+    name: DEFAULT_RULE_PACK.name,
+    version: DEFAULT_RULE_PACK.version,
+    overrides: overrides ? { name: overrides.name, version: overrides.version } : null,
+    sections,
+  };
+}
+
+const DEFAULT_RESOLVED_PACK = resolveRulePack();
+
+// The block every agent's system prompt starts with
+export function getSharedConstraints(pack = DEFAULT_RESOLVED_PACK) {
+  return pack.sections
+    .filter((section) => section.enabled && section.content.trim())
+    .map((section) => section.content)
+    .join(SECTION_SEPARATOR);
+}
+
+// One section's text, or "" when the pack switches it off
+export function getRuleSection(pack = DEFAULT_RESOLVED_PACK, id) {
+  const section = pack.sections.find((entry) => entry.id === id);
+  return section?.enabled ? section.content : "";
+}
+
+// What a run stores to trace its output back to the rules
+export function describeRulePack(pack) {
+  return {
+    id: pack.id,
+    version: pack.version,
+    overrides: pack.overrides ? { ...pack.overrides } : null,
+  };
+}
+
+export function formatRulePackVersion(record) {
+  if (!record) return "unrecorded";
+  const base = `${record.id}@${record.version}`;
+  return record.overrides
+    ? `${base} + ${record.overrides.name}@${record.overrides.version}`
+    : base;
+}
+
+// "3" -> "4", "1.2.0" -> "1.2.1", "beta" -> "beta.1"
+export function bumpRuleVersion(version) {
+  const match = String(version).match(/^(.*?)(\d+)(\D*)$/);
+  if (!match) return `${version}.1`;
+  return `${match[1]}${Number(match[2]) + 1}${match[3]}`;
+}
@@ -0,0 +1,249 @@
+// Formal schema for the Prompt Architect's JSON specification plus the
+// artifact-specific rules from its system instruction. Validation errors
+// trigger one repair call before the spec is handed to the Code Generator.
+
+import { extractCodeFromMarkdown } from "./text.js";
+
+const ARTIFACT_TYPES = ["CustomWidget", "CustomAction", "CustomFunction", "CodeFile"];
+
+const DART_IDENTIFIER_PATTERN = "^[A-Za-z_][A-Za-z0-9_]*$";
+
+const stringList = { type: "array", items: { type: "string" } };
+
+const ARCHITECT_SPEC_SCHEMA = {
+  type: "object",
+  required: [
+    "artifactType",
+    "artifactName",
+    "parameters",
+    "dataTypesRequired",
+    "dependencies",
+    "constraints",
+    "userActionsRequired",
+  ],
+  properties: {
+    artifactType: { type: "string", enum: ARTIFACT_TYPES },
+    artifactName: { type: "string", pattern: DART_IDENTIFIER_PATTERN },
+    rationale: { type: "string" },
+    parameters: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "dartType", "required"],
+        properties: {
+          name: { type: "string", pattern: DART_IDENTIFIER_PATTERN },
+          ffType: { type: "string" },
+          dartType: { type: "string" },
+          required: { type: "boolean" },
+          isList: { type: "boolean" },
+          defaultHandling: { type: "string" },
+        },
+      },
+    },
+    dataTypesRequired: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["structName", "fields"],
+        properties: {
+          structName: { type: "string", pattern: DART_IDENTIFIER_PATTERN },
+          fields: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["name", "type"],
+              properties: {
+                name: { type: "string", pattern: DART_IDENTIFIER_PATTERN },
+                type: { type: "string" },
+              },
+            },
+          },
+          purpose: { type: "string" },
+        },
+      },
+    },
+    dependencies: {
+      type: "object",
+      required: ["allowed", "packages"],
+      properties: {
+        allowed: { type: "boolean" },
+        packages: stringList,
+        dartImports: stringList,
+        nativeConfigRequired: { type: ["string", "null"] },
+        note: { type: ["string", "null"] },
+      },
+    },
+    implementationSpec: { type: "object" },
+    constraints: {
+      type: "object",
+      properties: {
+        artifactSpecific: stringList,
+        nullSafety: stringList,
+        layoutSafety: stringList,
+        parserSafety: stringList,
+      },
+    },
+    antiPatterns: { type: "object" },
+    userActionsRequired: {
+      type: "object",
+      properties: {
+        inFlutterFlowUI: stringList,
+        dataTypesToCreate: stringList,
+        configFilesIfNeeded: stringList,
+      },
+    },
+  },
+};
+
+export function getJsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Minimal JSON Schema subset: type, enum, pattern, required, properties, items
+function validateAgainstSchema(value, schema, path = "spec") {
+  const errors = [];
+  const actualType = getJsonType(value);
+  const allowedTypes = [].concat(schema.type || []);
+
+  if (
+    allowedTypes.length > 0 &&
+    !allowedTypes.includes(actualType) &&
+    !(actualType === "integer" && allowedTypes.includes("number"))
+  ) {
+    errors.push({ path, message: `must be ${allowedTypes.join(" or ")}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(", ")}` });
+  }
+
+  if (schema.pattern && typeof value === "string") {
+    if (!new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: "is not a valid Dart identifier" });
+    }
+  }
+
+  if (actualType === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: `${path}.${key}`, message: "is required" });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(
+          ...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`)
+        );
+      }
+    }
+  }
+
+  if (actualType === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Rules from the ARTIFACT-SPECIFIC CONSTRAINT RULES in the architect prompt
+function validateArtifactRules(spec) {
+  const errors = [];
+  const parameters = Array.isArray(spec.parameters) ? spec.parameters : [];
+  const dependencies = spec.dependencies || {};
+  const constraints = spec.constraints || {};
+  const mentions = (list, needle) =>
+    Array.isArray(list) &&
+    list.some((entry) => String(entry).toLowerCase().includes(needle));
+
+  switch (spec.artifactType) {
+    case "CustomWidget":
+      ["width", "height"].forEach((name, index) => {
+        const param = parameters[index];
+        if (!param || param.name !== name) {
+          errors.push({
+            path: `spec.parameters[${index}]`,
+            message: `must be \`${name}\` (CustomWidget takes width and height first)`,
+          });
+        } else if (param.dartType !== "double?" || param.required !== false) {
+          errors.push({
+            path: `spec.parameters[${index}]`,
+            message: `\`${name}\` must be an optional \`double?\``,
+          });
+        }
+      });
+      if (!mentions(constraints.layoutSafety, "overflow")) {
+        errors.push({
+          path: "spec.constraints.layoutSafety",
+          message: "must address overflow prevention",
+        });
+      }
+      break;
+
+    case "CustomFunction":
+      if (dependencies.allowed !== false) {
+        errors.push({
+          path: "spec.dependencies.allowed",
+          message: "must be false for a CustomFunction",
+        });
+      }
+      if (Array.isArray(dependencies.packages) && dependencies.packages.length > 0) {
+        errors.push({
+          path: "spec.dependencies.packages",
+          message: "must be empty - Custom Functions cannot use external packages",
+        });
+      }
+      break;
+
+    case "CustomAction":
+      if (!mentions(constraints.artifactSpecific, "future")) {
+        errors.push({
+          path: "spec.constraints.artifactSpecific",
+          message: "must state that the return type is always Future",
+        });
+      }
+      break;
+
+    case "CodeFile":
+      ["generics", "extensions", "function-typed"].forEach((needle) => {
+        if (!mentions(constraints.parserSafety, needle)) {
+          errors.push({
+            path: "spec.constraints.parserSafety",
+            message: `must forbid ${needle}`,
+          });
+        }
+      });
+      break;
+  }
+
+  return errors;
+}
+
+// Parse and validate raw architect output. Returns the parsed spec (or null)
+// and a flat list of { path, message } errors.
+export function validateArchitectOutput(rawOutput) {
+  let spec;
+  try {
+    spec = JSON.parse(extractCodeFromMarkdown(rawOutput || ""));
+  } catch (error) {
+    return {
+      spec: null,
+      errors: [{ path: "spec", message: `is not valid JSON (${error.message})` }],
+    };
+  }
+
+  const errors = validateAgainstSchema(spec, ARCHITECT_SPEC_SCHEMA);
+  if (getJsonType(spec) === "object") {
+    errors.push(...validateArtifactRules(spec));
+  }
+  return { spec, errors };
+}
+
+export function formatSpecErrors(errors) {
+  return errors.map((error) => `- ${error.path} ${error.message}`).join("\n");
+}
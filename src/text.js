@@ -0,0 +1,62 @@
+// Plain-text helpers for model replies: code fences, numbered listings
+// and markdown sections.
+
+// Extract code from markdown code blocks (strips ```dart ... ```)
+export function extractCodeFromMarkdown(text) {
+  if (!text) return text;
+
+  // Match ```language\n...code...\n``` pattern
+  const codeBlockRegex = /```(?:\w+)?\n?([\s\S]*?)```/;
+  const match = text.match(codeBlockRegex);
+
+  if (match) {
+    return match[1].trim();
+  }
+
+  // Drop an opening fence whose closing fence hasn't arrived yet (mid-stream)
+  const openFenceRegex = /^\s*```\w*\n?/;
+  if (openFenceRegex.test(text)) {
+    return text.replace(openFenceRegex, "").trim();
+  }
+
+  // If no code block found, return original text trimmed
+  return text.trim();
+}
+
+// Prefix every line with its number so the model can cite line ranges
+export function numberCodeLines(code) {
+  const lines = code.split("\n");
+  const width = String(lines.length).length;
+  return lines
+    .map((line, index) => `${String(index + 1).padStart(width)}| ${line}`)
+    .join("\n");
+}
+
+// Return the body of the "## <title>" section of an audit (without heading)
+export function extractMarkdownSection(markdown, title) {
+  const lines = (markdown || "").split("\n");
+  const start = lines.findIndex(
+    (line) =>
+      line.startsWith("## ") &&
+      line.toLowerCase().includes(title.toLowerCase())
+  );
+  if (start === -1) return "";
+
+  const body = [];
+  for (let i = start + 1; i < lines.length; i++) {
+    if (lines[i].startsWith("## ")) break;
+    body.push(lines[i]);
+  }
+  return body.join("\n").trim();
+}
+
+// FlutterFlow names custom code files in snake_case: RadialGauge -> radial_gauge
+export function toDartFileName(artifactName) {
+  const name = String(artifactName || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .toLowerCase();
+  return name || "custom_code";
+}
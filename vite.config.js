@@ -1,9 +1,132 @@
 import { defineConfig, loadEnv } from 'vite';
+import {
+  DEFAULT_ALLOWED_MODELS,
+  PROXY_PATH_PATTERN,
+  ProxyGuardError,
+  createProxyGuard,
+  loadProxyGuardConfig,
+  readLimitedBody,
+  sendProxyGuardError
+} from './proxy-guard.js';
+
+// Let streamed responses (server-sent events) through unbuffered: ask the
+// upstream for an uncompressed body and tell any intermediary not to buffer.
+const streamPassthrough = (proxy) => {
+  proxy.on('proxyReq', (proxyReq) => {
+    proxyReq.removeHeader('accept-encoding');
+  });
+  proxy.on('proxyRes', (proxyRes) => {
+    const contentType = proxyRes.headers['content-type'] || '';
+    if (contentType.includes('text/event-stream')) {
+      proxyRes.headers['cache-control'] = 'no-cache';
+      proxyRes.headers['x-accel-buffering'] = 'no';
+    }
+  });
+};
+
+// Same environment variables the PHP proxies read for server-side keys
+const SERVER_KEY_ENV = {
+  gemini: 'GEMINI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  openai: 'OPENAI_API_KEY'
+};
+
+// Fall back to the server-side key when the browser didn't send one
+const withServerKey = (header, apiKey, formatKey = (key) => key) => (proxy) => {
+  streamPassthrough(proxy);
+  proxy.on('proxyReq', (proxyReq, req) => {
+    if (!proxyReq.getHeader(header) && apiKey) {
+      proxyReq.setHeader(header, formatKey(apiKey));
+    }
+    // The guard already read the body stream, so send the buffered copy
+    if (req.guardedBody) {
+      proxyReq.setHeader('content-length', req.guardedBody.length);
+      proxyReq.write(req.guardedBody);
+    }
+  });
+};
+
+// Origin, path/model allowlists, body cap and rate limits (see proxy-guard.js).
+// Plugin middlewares run before vite's proxy, so rejected calls never leave.
+const proxyGuard = (env, serverKeys) => {
+  const guard = createProxyGuard(loadProxyGuardConfig(env));
+
+  const handleGuard = async (req, res, next) => {
+    const match = req.url.match(PROXY_PATH_PATTERN);
+    if (!match) return next();
+
+    try {
+      const body = await readLimitedBody(req, guard.config.maxBodyBytes);
+      guard.checkRequest({
+        req,
+        provider: match[1],
+        path: match[2] || '',
+        query: new URL(req.url, 'http://localhost').searchParams,
+        body,
+        serverKey: serverKeys[match[1]]
+      });
+      req.guardedBody = body;
+      next();
+    } catch (error) {
+      if (error instanceof ProxyGuardError) sendProxyGuardError(res, error);
+      else next(error);
+    }
+  };
+
+  return {
+    name: 'ccc-proxy-guard',
+    configureServer(server) {
+      server.middlewares.use(handleGuard);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(handleGuard);
+    }
+  };
+};
+
+// The PHP proxies can't read src/models.js, so the build gives them the
+// default model allowlist as dist/api/allowed-models.json
+const allowedModelsFile = () => ({
+  name: 'ccc-allowed-models',
+  generateBundle() {
+    this.emitFile({
+      type: 'asset',
+      fileName: 'api/allowed-models.json',
+      source: JSON.stringify(DEFAULT_ALLOWED_MODELS, null, 2) + '\n'
+    });
+  }
+});
+
+// GET /api/status: which providers have a server-side key, never the keys
+const proxyStatus = (serverKeys) => {
+  const handleStatus = (req, res) => {
+    const status = Object.fromEntries(
+      Object.entries(serverKeys).map(([provider, key]) => [provider, Boolean(key)])
+    );
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify({ serverKeys: status }));
+  };
+
+  return {
+    name: 'ccc-proxy-status',
+    configureServer(server) {
+      server.middlewares.use('/api/status', handleStatus);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/api/status', handleStatus);
+    }
+  };
+};
 
 export default defineConfig(({ mode }) => {
   const env = loadEnv(mode, process.cwd(), '');
-  
+  const serverKeys = Object.fromEntries(
+    Object.entries(SERVER_KEY_ENV).map(([provider, name]) => [provider, (env[name] || '').trim()])
+  );
+
   return {
+    plugins: [proxyStatus(serverKeys), proxyGuard(env, serverKeys), allowedModelsFile()],
     server: {
       port: 3000,
       open: true,
@@ -12,13 +135,15 @@ export default defineConfig(({ mode }) => {
           target: 'https://generativelanguage.googleapis.com',
           changeOrigin: true,
           rewrite: (path) => path.replace(/^\/api\/gemini/, ''),
-          secure: true
+          secure: true,
+          configure: withServerKey('x-goog-api-key', serverKeys.gemini)
         },
         '/api/anthropic': {
           target: 'https://api.anthropic.com',
           changeOrigin: true,
           rewrite: (path) => path.replace(/^\/api\/anthropic/, ''),
           secure: true,
+          configure: withServerKey('x-api-key', serverKeys.anthropic),
           headers: {
             'anthropic-dangerous-direct-browser-access': 'true'
           }
@@ -27,7 +152,18 @@ export default defineConfig(({ mode }) => {
           target: 'https://api.openai.com',
           changeOrigin: true,
           rewrite: (path) => path.replace(/^\/api\/openai/, ''),
-          secure: true
+          secure: true,
+          configure: (proxy) => {
+            // Like openai-proxy.php: the browser key travels in x-openai-api-key
+            proxy.on('proxyReq', (proxyReq) => {
+              const browserKey = proxyReq.getHeader('x-openai-api-key');
+              if (browserKey) {
+                proxyReq.removeHeader('x-openai-api-key');
+                proxyReq.setHeader('authorization', `Bearer ${browserKey}`);
+              }
+            });
+            withServerKey('authorization', serverKeys.openai, (key) => `Bearer ${key}`)(proxy);
+          }
         }
       }
     },